@@ -0,0 +1,249 @@
+/**
+ * Query cache stores. A store is any object with async
+ * get(key), set(key, value, { ttl, tags }), del(key), delByTag(tag) and
+ * clear(); stats() is optional. Tags are the tables a cached query reads.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+
+/**
+ * JSON serializer that keeps Dates, Buffers and BigInts as their own types
+ */
+const jsonSerializer = {
+  serialize(value) {
+    return JSON.stringify(value, function (key, item) {
+      const original = this[key];
+      if (original instanceof Date) return { $date: original.toISOString() };
+      if (Buffer.isBuffer(original)) return { $buffer: original.toString('base64') };
+      if (typeof original === 'bigint') return { $bigint: original.toString() };
+      return item;
+    });
+  },
+
+  deserialize(text) {
+    return JSON.parse(text, (key, item) => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        if ('$date' in item) return new Date(item.$date);
+        if ('$buffer' in item) return Buffer.from(item.$buffer, 'base64');
+        if ('$bigint' in item) return BigInt(item.$bigint);
+      }
+      return item;
+    });
+  }
+};
+
+function _byteSize(value) {
+  const json = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+  return json === undefined ? 0 : Buffer.byteLength(json);
+}
+
+/**
+ * Deep copy of cached rows, so callers mutating a result cannot change what
+ * later hits see. Buffers and Dates keep their types.
+ */
+function _copy(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(_copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, _copy(item)]));
+  }
+  return value;
+}
+
+function _hash(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Default per-process store: LRU bounded by entry count and approximate size
+ */
+class MemoryCacheStore {
+  constructor(options = {}) {
+    const { maxEntries = 1000, maxBytes = null } = options;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // Map iteration order is the LRU order: oldest entry first
+    this.entries = new Map();
+    this.tags = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() >= entry.expiry) {
+      this._remove(key);
+      return undefined;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return _copy(entry.value);
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl, tags = [] } = options;
+    const size = this.maxBytes ? _byteSize(value) : 0;
+    if (this.maxBytes && size > this.maxBytes) {
+      return;
+    }
+
+    this._remove(key);
+    this.entries.set(key, { value: _copy(value), expiry: Date.now() + ttl, tags, size });
+    this.bytes += size;
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries || (this.maxBytes && this.bytes > this.maxBytes)) {
+      this._remove(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async del(key) {
+    return this._remove(key);
+  }
+
+  /**
+   * Remove every entry tagged with `tag`; returns the number removed
+   */
+  async delByTag(tag) {
+    const keys = [...(this.tags.get(tag) || [])];
+    keys.forEach(key => this._remove(key));
+    return keys.length;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tags.clear();
+    this.bytes = 0;
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes, evictions: this.evictions };
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    for (const tag of entry.tags) {
+      const keys = this.tags.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tags.delete(tag);
+      }
+    }
+    return true;
+  }
+}
+
+/**
+ * Reference store keeping entries as files in a directory, so several
+ * processes on one machine share a cache. Layout:
+ *   entries/<sha1(key)>.json       { expiry, value }
+ *   tags/<sha1(tag)>/<sha1(key)>   marker per tagged entry
+ */
+class FileCacheStore {
+  constructor(options = {}) {
+    const { directory, serializer = jsonSerializer } = options;
+    if (!directory) {
+      throw new Error('FileCacheStore requires a directory');
+    }
+    this.directory = directory;
+    this.serializer = serializer;
+  }
+
+  _entryPath(hash) {
+    return path.join(this.directory, 'entries', `${hash}.json`);
+  }
+
+  _tagPath(tag) {
+    return path.join(this.directory, 'tags', _hash(tag));
+  }
+
+  async get(key) {
+    const file = this._entryPath(_hash(key));
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+    if (Date.now() >= entry.expiry) {
+      await fs.rm(file, { force: true });
+      return undefined;
+    }
+    return this.serializer.deserialize(entry.value);
+  }
+
+  async set(key, value, options = {}) {
+    const { ttl, tags = [] } = options;
+    const hash = _hash(key);
+    const file = this._entryPath(hash);
+    const entry = JSON.stringify({ expiry: Date.now() + ttl, value: this.serializer.serialize(value) });
+
+    // Markers first, so a delByTag() that starts after the entry appeared
+    // always finds it
+    for (const tag of tags) {
+      const directory = this._tagPath(tag);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, hash), '');
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so readers never see a partial file
+    const temporary = `${file}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, entry);
+    await fs.rename(temporary, file);
+  }
+
+  async del(key) {
+    await fs.rm(this._entryPath(_hash(key)), { force: true });
+  }
+
+  async delByTag(tag) {
+    const directory = this._tagPath(tag);
+    let hashes;
+    try {
+      hashes = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+    // Only the markers listed here: one written by a concurrent set() belongs
+    // to an entry that was not invalidated, so the directory is kept. A set()
+    // already between its markers and its rename when this runs can still
+    // leave its entry behind; without a lock that entry lives until its TTL.
+    await Promise.all(hashes.map(async (hash) => {
+      await fs.rm(path.join(directory, hash), { force: true });
+      await fs.rm(this._entryPath(hash), { force: true });
+    }));
+    return hashes.length;
+  }
+
+  async clear() {
+    await fs.rm(path.join(this.directory, 'entries'), { recursive: true, force: true });
+    await fs.rm(path.join(this.directory, 'tags'), { recursive: true, force: true });
+  }
+}
+
+export { MemoryCacheStore, FileCacheStore, jsonSerializer };
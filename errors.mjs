@@ -0,0 +1,80 @@
+/**
+ * Typed query errors: mysql2 driver errors classified by code, keeping the
+ * original code, errno, sqlState and the failing SQL
+ */
+
+/**
+ * Base class for every error thrown by a failed query
+ */
+class QueryError extends Error {
+  constructor(message, { cause = null, sql = null, params = [] } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    // Node before 16.9 ignores the `cause` option
+    if (cause && this.cause === undefined) {
+      this.cause = cause;
+    }
+    this.code = cause?.code ?? null;
+    this.errno = cause?.errno ?? null;
+    this.sqlState = cause?.sqlState ?? null;
+    // The driver's own message: the server's text for SQL errors
+    this.sqlMessage = cause?.sqlMessage ?? cause?.message ?? null;
+    this.sql = sql;
+    this.params = params;
+  }
+}
+
+/** Unique or primary key violation */
+class DuplicateEntryError extends QueryError {}
+
+/** Missing parent row on insert/update, or referenced row on delete/update */
+class ForeignKeyError extends QueryError {}
+
+/** The connection to the server was lost while the query was running */
+class ConnectionLostError extends QueryError {}
+
+/** InnoDB picked this transaction as the deadlock victim */
+class DeadlockError extends QueryError {}
+
+/** Lock wait timeout, max_execution_time or the client-side query timeout */
+class QueryTimeoutError extends QueryError {}
+
+const CONNECTION_LOST_CODES = ['PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'EPIPE', 'ER_SERVER_SHUTDOWN'];
+
+const ERROR_CLASSES = [
+  [DuplicateEntryError, ['ER_DUP_ENTRY', 'ER_DUP_ENTRY_WITH_KEY_NAME']],
+  [ForeignKeyError, ['ER_NO_REFERENCED_ROW', 'ER_NO_REFERENCED_ROW_2', 'ER_ROW_IS_REFERENCED', 'ER_ROW_IS_REFERENCED_2']],
+  [ConnectionLostError, CONNECTION_LOST_CODES],
+  [DeadlockError, ['ER_LOCK_DEADLOCK']],
+  [QueryTimeoutError, ['ER_LOCK_WAIT_TIMEOUT', 'ER_QUERY_TIMEOUT', 'PROTOCOL_SEQUENCE_TIMEOUT']]
+];
+
+/**
+ * Whether the error means the connection is gone (the statement may not have run)
+ */
+function isConnectionLost(error) {
+  return CONNECTION_LOST_CODES.includes(error?.code);
+}
+
+/**
+ * Wrap a driver error in the matching QueryError subclass
+ */
+function classifyError(error, { sql = null, params = [] } = {}) {
+  if (error instanceof QueryError) {
+    return error;
+  }
+  const match = ERROR_CLASSES.find(([, codes]) => codes.includes(error?.code));
+  const ErrorClass = match ? match[0] : QueryError;
+  return new ErrorClass(`Query failed: ${error?.message}`, { cause: error, sql, params });
+}
+
+export {
+  QueryError,
+  DuplicateEntryError,
+  ForeignKeyError,
+  ConnectionLostError,
+  DeadlockError,
+  QueryTimeoutError,
+  classifyError,
+  isConnectionLost
+};
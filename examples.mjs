@@ -1,4 +1,4 @@
-import MySQLHelper from './index.mjs';
+import MySQLHelper, { raw } from './index.mjs';
 
 // ============================================
 // EXAMPLE 1: Complete Setup with All Features
@@ -137,9 +137,9 @@ async function generateSalesReport(db, startDate, endDate) {
     .table('orders')
     .select(
       'products.category',
-      'COUNT(DISTINCT orders.id) as total_orders',
-      'SUM(order_items.quantity) as total_items',
-      'SUM(order_items.price * order_items.quantity) as total_revenue'
+      raw('COUNT(DISTINCT orders.id) as total_orders'),
+      raw('SUM(order_items.quantity) as total_items'),
+      raw('SUM(order_items.price * order_items.quantity) as total_revenue')
     )
     .join('order_items', 'orders.id', '=', 'order_items.order_id')
     .join('products', 'order_items.product_id', '=', 'products.id')
@@ -156,8 +156,8 @@ async function generateSalesReport(db, startDate, endDate) {
       'users.id',
       'users.name',
       'users.email',
-      'COUNT(orders.id) as order_count',
-      'SUM(orders.total) as total_spent'
+      raw('COUNT(orders.id) as order_count'),
+      raw('SUM(orders.total) as total_spent')
     )
     .join('users', 'orders.user_id', '=', 'users.id')
     .where('orders.status', 'completed')
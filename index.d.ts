@@ -0,0 +1,1071 @@
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { Pool, PoolConnection, Connection } from 'mysql2/promise';
+
+export declare class Raw {
+  constructor(sql: string, params?: any[]);
+  sql: string;
+  params: any[];
+}
+
+export declare function raw(sql: string, params?: any[]): Raw;
+
+export type Identifier = string | Raw;
+
+declare const generatedColumn: unique symbol;
+
+/**
+ * Column filled when an insert leaves it out (AUTO_INCREMENT, DEFAULT or the
+ * helper's timestamps); optional in Insertable<>. Used by generated types.
+ */
+export type Generated<T> = { readonly [generatedColumn]: T };
+
+type Unwrap<V> = V extends Generated<infer U> ? U : V;
+type IsAny<T> = 0 extends (1 & T) ? true : false;
+type OptionalOnInsert<R> = {
+  [K in keyof R]: R[K] extends Generated<any> ? K : null extends R[K] ? K : never
+}[keyof R];
+
+/** Row as returned by a query */
+export type Selectable<R> = { [K in keyof R]: Unwrap<R[K]> };
+/** Row accepted by insert(): generated and nullable columns may be left out */
+export type Insertable<R> = {
+  [K in Exclude<keyof R, OptionalOnInsert<R>>]: R[K]
+} & {
+  [K in OptionalOnInsert<R>]?: Unwrap<R[K]>
+};
+/** Columns accepted by update() */
+export type Updateable<R> = { [K in keyof R]?: Unwrap<R[K]> };
+
+/**
+ * Table names of a Database interface (any string for an untyped helper)
+ */
+export type TableName<DB> = IsAny<DB> extends true ? string : Extract<keyof DB, string>;
+/** Row type of `table`, or `any` when the helper or table is untyped */
+export type RowOf<DB, K> = IsAny<DB> extends true ? any : K extends keyof DB ? Selectable<DB[K]> : any;
+export type InsertRowOf<DB, K> = IsAny<DB> extends true ? Record<string, any> : K extends keyof DB ? Insertable<DB[K]> : Record<string, any>;
+export type UpdateRowOf<DB, K> = IsAny<DB> extends true ? Record<string, any> : K extends keyof DB ? Updateable<DB[K]> : Record<string, any>;
+
+/**
+ * Thrown by every failed query; subclasses identify common failure kinds
+ */
+export declare class QueryError extends Error {
+  code: string | null;
+  errno: number | null;
+  sqlState: string | null;
+  /** The driver's message: the server's text for SQL errors */
+  sqlMessage: string | null;
+  sql: string | null;
+  params: any[];
+  cause?: unknown;
+}
+export declare class DuplicateEntryError extends QueryError {}
+export declare class ForeignKeyError extends QueryError {}
+export declare class ConnectionLostError extends QueryError {}
+export declare class DeadlockError extends QueryError {}
+export declare class QueryTimeoutError extends QueryError {}
+
+export interface WhereOperators {
+  eq?: any;
+  ne?: any;
+  gt?: any;
+  gte?: any;
+  lt?: any;
+  lte?: any;
+  in?: any[];
+  notIn?: any[];
+  like?: string;
+  notLike?: string;
+  between?: [any, any];
+  notBetween?: [any, any];
+  isNull?: boolean;
+}
+
+export type WhereInput = {
+  and?: WhereInput | WhereInput[];
+  or?: WhereInput | WhereInput[];
+  not?: WhereInput;
+  [column: string]: any;
+};
+
+export interface MySQLConfig {
+  host?: string;
+  port?: number;
+  user: string;
+  password: string;
+  database: string;
+  connectionLimit?: number;
+  waitForConnections?: boolean;
+  queueLimit?: number;
+  connectTimeout?: number;
+  acquireTimeout?: number;
+  cache?: boolean;
+  cacheTTL?: number;
+  /** Shared cache backend; defaults to an in-memory MemoryCacheStore */
+  cacheStore?: CacheStore;
+  /** Cached results kept before the least recently used is evicted (default 1000) */
+  cacheMaxEntries?: number;
+  /** Approximate upper bound for the cached results' JSON size in bytes */
+  cacheMaxBytes?: number;
+  /** Serve an expired entry for up to this many ms while one background query refreshes it */
+  cacheStaleWhileRevalidate?: number;
+  /** Share one round-trip between identical cacheable reads in flight (default true) */
+  dedupe?: boolean;
+  logQueries?: boolean;
+  /** Connection attempts, and attempts for reads that hit a lost connection (default 3) */
+  retryAttempts?: number;
+  /** Base delay in ms between attempts, multiplied by the attempt number (default 1000) */
+  retryDelay?: number;
+  /** Read replica configs; each entry overrides the primary config (e.g. { host }) */
+  replicas?: Array<Partial<MySQLConfig>>;
+  replicaStrategy?: 'round-robin' | 'least-busy';
+  /** Reads go to the primary for this many ms after a write in the same context() (default 1000) */
+  stickyPrimaryWindow?: number;
+  /** Maps a tenant id to its database name or config overrides (used by forTenant) */
+  tenantResolver?: (tenantId: any) => string | Partial<MySQLConfig> | null | undefined | Promise<string | Partial<MySQLConfig> | null | undefined>;
+  /** Tenant pools kept open before the least recently used idle one is closed (default 10) */
+  maxTenantPools?: number;
+  timestamps?: boolean;
+  createdAtColumn?: string;
+  updatedAtColumn?: string;
+  [key: string]: any;
+}
+
+export type OrderByInput = string | Raw | Array<string | Raw | [string, ('ASC' | 'DESC' | 'asc' | 'desc')?]>;
+
+export interface SelectOptions {
+  columns?: Identifier | Identifier[];
+  where?: WhereInput;
+  orderBy?: OrderByInput;
+  limit?: number;
+  offset?: number;
+  groupBy?: string | string[];
+  allowedColumns?: string[];
+  having?: WhereInput | Raw;
+  cache?: boolean;
+  cacheTTL?: number;
+}
+
+export interface QueryOptions {
+  cache?: boolean;
+  /** mysql2 nestTables: rows keyed by table, or flat with this separator */
+  nestTables?: boolean | string;
+  cacheTTL?: number;
+  /** Retry on a lost connection; defaults to true for SELECT/SHOW/DESCRIBE/EXPLAIN */
+  retry?: boolean;
+  /** Run on a read replica when replicas are configured */
+  replica?: boolean;
+  /** Set to false to run this read even if an identical one is in flight */
+  dedupe?: boolean;
+  /** Overrides the cacheStaleWhileRevalidate config for this query */
+  staleWhileRevalidate?: number;
+}
+
+export interface StreamOptions {
+  /** Rows buffered before backpressure pauses the connection (default: 100) */
+  highWaterMark?: number;
+}
+
+export interface InsertResult {
+  insertId: number;
+  affectedRows: number;
+}
+
+export interface UpdateResult {
+  affectedRows: number;
+  changedRows: number;
+}
+
+export interface DeleteResult {
+  affectedRows: number;
+}
+
+export interface BatchInsertResult {
+  totalBatches: number;
+  totalInserted: number;
+  results: InsertResult[];
+}
+
+export interface PaginationMeta {
+  currentPage: number;
+  perPage: number;
+  totalItems: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+}
+
+export interface PaginateResult<T = any> {
+  data: T[];
+  pagination: PaginationMeta;
+}
+
+export interface PaginateOptions {
+  page?: number;
+  perPage?: number;
+  where?: WhereInput;
+  orderBy?: OrderByInput;
+  columns?: Identifier | Identifier[];
+  allowedColumns?: string[];
+}
+
+export interface CursorPaginateOptions {
+  /** Sort columns; the last one must be unique (e.g. the primary key) */
+  orderBy?: string | Array<string | [string, ('ASC' | 'DESC' | 'asc' | 'desc')?]>;
+  after?: string | null;
+  before?: string | null;
+  limit?: number;
+  /** Run a COUNT(*) for totalItems (default: true) */
+  withTotal?: boolean;
+}
+
+export interface HelperCursorPaginateOptions extends CursorPaginateOptions {
+  where?: WhereInput;
+  columns?: Identifier | Identifier[];
+}
+
+export interface CursorPaginationMeta {
+  perPage: number;
+  nextCursor: string | null;
+  prevCursor: string | null;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  totalItems?: number;
+}
+
+export interface CursorPaginateResult<T = any> {
+  data: T[];
+  pagination: CursorPaginationMeta;
+}
+
+export interface BatchProcessOptions {
+  batchSize?: number;
+  concurrency?: number;
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+export interface BatchProgress {
+  processed: number;
+  total: number;
+  percentage: number;
+}
+
+export interface PoolStatus {
+  totalConnections: number;
+  freeConnections: number;
+  queuedRequests: number;
+  config: {
+    connectionLimit: number;
+    queueLimit: number;
+  };
+  replicas?: Array<{
+    host: string;
+    totalConnections: number;
+    freeConnections: number;
+    queuedRequests: number;
+  }>;
+}
+
+export interface CacheSetOptions {
+  /** Time to live in ms */
+  ttl: number;
+  /** Tables the cached query reads */
+  tags: string[];
+}
+
+/**
+ * Backend for the query cache; every method may return a promise
+ */
+export interface CacheStore {
+  get(key: string): Promise<any> | any;
+  set(key: string, value: any, options: CacheSetOptions): Promise<void> | void;
+  del(key: string): Promise<any> | any;
+  /** Remove every entry with the tag; returns the number removed */
+  delByTag(tag: string): Promise<number> | number;
+  clear(): Promise<void> | void;
+  stats?(): Record<string, number>;
+}
+
+export interface CacheSerializer {
+  serialize(value: any): string;
+  deserialize(text: string): any;
+}
+
+/** JSON serializer that keeps Dates, Buffers and BigInts */
+export declare const jsonSerializer: CacheSerializer;
+
+export declare class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number; maxBytes?: number | null });
+  get(key: string): Promise<any>;
+  set(key: string, value: any, options: CacheSetOptions): Promise<void>;
+  del(key: string): Promise<boolean>;
+  delByTag(tag: string): Promise<number>;
+  clear(): Promise<void>;
+  stats(): { entries: number; bytes: number; evictions: number };
+}
+
+/** Reference store keeping entries as files, shared by processes on one machine */
+export declare class FileCacheStore implements CacheStore {
+  constructor(options: { directory: string; serializer?: CacheSerializer });
+  get(key: string): Promise<any>;
+  set(key: string, value: any, options: CacheSetOptions): Promise<void>;
+  del(key: string): Promise<void>;
+  delByTag(tag: string): Promise<number>;
+  clear(): Promise<void>;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  /** Expired entries served while being refreshed */
+  staleHits: number;
+  hitRate: number;
+  sets: number;
+  invalidations: number;
+  /** Reads that joined an identical in-flight query */
+  deduplicated: number;
+  /** Store operations that failed (see the cacheError event) */
+  errors: number;
+  /** Reported by stores with stats(), such as MemoryCacheStore */
+  entries?: number;
+  bytes?: number;
+  evictions?: number;
+  [key: string]: number | undefined;
+}
+
+export interface QueryLog {
+  sql: string;
+  params: any[];
+  executionTime: number;
+  timestamp: number;
+}
+
+export interface TransactionEvent {
+  threadId: number;
+  /** 1 for the outer transaction, 2+ for savepoints */
+  depth: number;
+  savepoint?: string;
+  /** Set on transactionStarted for the outer transaction */
+  isolationLevel?: IsolationLevel | null;
+  readOnly?: boolean;
+}
+
+export type IsolationLevel = 'READ UNCOMMITTED' | 'READ COMMITTED' | 'REPEATABLE READ' | 'SERIALIZABLE';
+
+export interface TransactionOptions {
+  /** Re-run the callback this many times on deadlock / lock wait timeout (default 0) */
+  retries?: number;
+  /** Base delay in ms, doubled per attempt with jitter, or a function of the attempt (default 100) */
+  backoff?: number | ((attempt: number) => number);
+  isolationLevel?: IsolationLevel;
+  readOnly?: boolean;
+}
+
+export interface TransactionRetryEvent {
+  attempt: number;
+  retries: number;
+  delay: number;
+  code: string;
+  error: string;
+}
+
+export interface HookData {
+  sql: string;
+  params: any[];
+  timestamp: number;
+  /** True when the hook runs inside transaction() */
+  transaction: boolean;
+}
+
+export interface AfterQueryData extends HookData {
+  rows: any[];
+  executionTime: number;
+}
+
+export interface ErrorData extends HookData {
+  error: Error;
+}
+
+export type HookCallback = (data: HookData | AfterQueryData | ErrorData) => Promise<void> | void;
+
+export interface TableSchema {
+  Field: string;
+  Type: string;
+  Null: string;
+  Key: string;
+  Default: any;
+  Extra: string;
+}
+
+export interface UpdateBatch {
+  data: Record<string, any>;
+  where: WhereInput;
+}
+
+export interface CRUDOptions {
+  skipTimestamps?: boolean;
+}
+
+export interface QueryBuilderInsertOptions extends CRUDOptions {
+  /** Target columns for INSERT ... SELECT */
+  columns?: string[];
+}
+
+export interface IndexOptions {
+  unique?: boolean;
+  type?: 'BTREE' | 'HASH' | 'FULLTEXT' | 'SPATIAL' | '';
+  using?: string;
+}
+
+export interface IndexInfo {
+  name: string;
+  columns: string[];
+  unique: boolean;
+  type: string;
+}
+
+export interface ProcedureInfo {
+  name: string;
+  created: Date;
+  modified: Date;
+}
+
+export interface WindowSpec {
+  partitionBy?: string | string[];
+  orderBy?: OrderByInput;
+  /** ROWS/RANGE frame, e.g. 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW' */
+  frame?: string;
+}
+
+export type Subquery = QueryBuilder | ((qb: QueryBuilder) => void);
+
+/**
+ * nest() shape: 'table.*' for one object, ['table.*'] for an array and
+ * ['table.*', shape] for an array whose items get nested keys of their own
+ */
+export interface NestShape {
+  [key: string]: string | [string] | [string, NestShape];
+}
+
+export interface NestOptions {
+  /** Column identifying a table's rows when it is not `id` */
+  keys?: Record<string, string>;
+}
+
+/** Relation paths ('items.product') mapped to a callback constraining their query */
+export type EagerLoadConstraints = Record<string, ((qb: QueryBuilder) => void) | true>;
+
+export type RelationDefinition =
+  /** foreignKey defaults to '<relation>_id', ownerKey to 'id' */
+  | { belongsTo: string; foreignKey?: string; ownerKey?: string }
+  /** localKey defaults to 'id' */
+  | { hasOne: string; foreignKey: string; localKey?: string }
+  | { hasMany: string; foreignKey: string; localKey?: string }
+  /** localKey and relatedKey default to 'id' */
+  | { belongsToMany: string; through: string; foreignPivotKey: string; relatedPivotKey: string; localKey?: string; relatedKey?: string };
+
+/**
+ * T is the row type returned by get()/first(); with a typed helper, table()
+ * picks it from the Database interface unless it was given explicitly
+ */
+declare class QueryBuilder<T = any, DB = any> {
+  constructor(db: MySQLHelper<DB>);
+
+
+  reset(): this;
+  allowColumns(...columns: Array<string | string[]>): this;
+  /** Run this builder's reads on the primary instead of a read replica */
+  onPrimary(): this;
+  table<K extends string>(table: K): QueryBuilder<IsAny<T> extends true ? RowOf<DB, K> : T, DB>;
+  table(table: Raw): this;
+  select(...columns: Identifier[]): this;
+  selectSub(query: Subquery, alias: string): this;
+  selectWindow(fn: string | Raw, window?: WindowSpec, alias?: string): this;
+  union(query: Subquery, all?: boolean): this;
+  unionAll(query: Subquery): this;
+  /** Eager load relations declared with defineRelations(); one query per relation */
+  with(...relations: Array<string | string[] | EagerLoadConstraints>): this;
+  /** Eager load relations like with(), never reading the arguments as a CTE */
+  withRelations(...relations: Array<string | string[] | EagerLoadConstraints>): this;
+  /**
+   * Hydrate JOIN results into nested objects deduplicated by primary key;
+   * without a shape, rows stay flat with `table__column` keys
+   */
+  nest<R = any>(shape?: NestShape | null, options?: NestOptions): QueryBuilder<R, DB>;
+  /** Common table expression: WITH name [(columns)] AS (query) */
+  with(name: string, query: Subquery | Raw, columns?: string[]): this;
+  withRecursive(name: string, query: Subquery | Raw, columns?: string[]): this;
+  fromSub(query: Subquery, alias: string): this;
+  where(column: Identifier, operator: string, value: any): this;
+  where(column: Identifier, value: any): this;
+  where(group: (qb: QueryBuilder) => void): this;
+  where(conditions: WhereInput): this;
+  orWhere(column: Identifier, operator: string, value: any): this;
+  orWhere(column: Identifier, value: any): this;
+  orWhere(group: (qb: QueryBuilder) => void): this;
+  orWhere(conditions: WhereInput): this;
+  whereNot(column: Identifier, operator: string, value: any): this;
+  whereNot(column: Identifier, value: any): this;
+  whereNot(group: (qb: QueryBuilder) => void): this;
+  whereNot(conditions: WhereInput): this;
+  orWhereNot(column: Identifier, operator: string, value: any): this;
+  orWhereNot(column: Identifier, value: any): this;
+  orWhereNot(group: (qb: QueryBuilder) => void): this;
+  orWhereNot(conditions: WhereInput): this;
+  whereIn(column: Identifier, values: any[] | Subquery): this;
+  orWhereIn(column: Identifier, values: any[] | Subquery): this;
+  whereNotIn(column: Identifier, values: any[] | Subquery): this;
+  orWhereNotIn(column: Identifier, values: any[] | Subquery): this;
+  whereExists(query: Subquery): this;
+  orWhereExists(query: Subquery): this;
+  whereNotExists(query: Subquery): this;
+  orWhereNotExists(query: Subquery): this;
+  whereColumn(column1: Identifier, operator: string, column2: Identifier): this;
+  orWhereColumn(column1: Identifier, operator: string, column2: Identifier): this;
+  whereBetween(column: Identifier, min: any, max: any): this;
+  orWhereBetween(column: Identifier, min: any, max: any): this;
+  whereNotBetween(column: Identifier, min: any, max: any): this;
+  orWhereNotBetween(column: Identifier, min: any, max: any): this;
+  whereNull(column: Identifier): this;
+  orWhereNull(column: Identifier): this;
+  whereNotNull(column: Identifier): this;
+  orWhereNotNull(column: Identifier): this;
+  whereLike(column: Identifier, pattern: string): this;
+  orWhereLike(column: Identifier, pattern: string): this;
+  whereNotLike(column: Identifier, pattern: string): this;
+  orWhereNotLike(column: Identifier, pattern: string): this;
+  whereRaw(condition: string, params?: any[]): this;
+  orWhereRaw(condition: string, params?: any[]): this;
+  join(table: string, column1: string, operator: string, column2: string): this;
+  leftJoin(table: string, column1: string, operator: string, column2: string): this;
+  rightJoin(table: string, column1: string, operator: string, column2: string): this;
+  crossJoin(table: string): this;
+  joinSub(query: Subquery, alias: string, column1: string, operator: string, column2: string): this;
+  leftJoinSub(query: Subquery, alias: string, column1: string, operator: string, column2: string): this;
+  rightJoinSub(query: Subquery, alias: string, column1: string, operator: string, column2: string): this;
+  orderBy(column: Identifier, direction?: 'ASC' | 'DESC' | 'asc' | 'desc'): this;
+  orderByRaw(rawOrder: string): this;
+  groupBy(...columns: string[]): this;
+  having(column: Identifier, operator: string, value: any): this;
+  having(column: Identifier, value: any): this;
+  having(group: (qb: QueryBuilder) => void): this;
+  having(conditions: WhereInput | Raw): this;
+  orHaving(column: Identifier, operator: string, value: any): this;
+  orHaving(column: Identifier, value: any): this;
+  orHaving(group: (qb: QueryBuilder) => void): this;
+  orHaving(conditions: WhereInput | Raw): this;
+  havingRaw(condition: string, params?: any[]): this;
+  orHavingRaw(condition: string, params?: any[]): this;
+  limit(limit: number): this;
+  offset(offset: number): this;
+  toSQL(): { sql: string; params: any[] };
+  stream(options?: StreamOptions): Readable;
+  iterate<R = T>(options?: StreamOptions): AsyncGenerator<R, void, undefined>;
+  toInsertSQL(rows: Record<string, any> | Record<string, any>[] | QueryBuilder, options?: QueryBuilderInsertOptions): { sql: string; params: any[] };
+  toUpdateSQL(data: Record<string, any>): { sql: string; params: any[] };
+  toDeleteSQL(): { sql: string; params: any[] };
+  insert(rows: Record<string, any> | Record<string, any>[] | QueryBuilder, options?: QueryBuilderInsertOptions): Promise<InsertResult>;
+  update(data: Record<string, any>, options?: CRUDOptions): Promise<UpdateResult>;
+  increment(column: string, amount?: number, extra?: Record<string, any>, options?: CRUDOptions): Promise<UpdateResult>;
+  decrement(column: string, amount?: number, extra?: Record<string, any>, options?: CRUDOptions): Promise<UpdateResult>;
+  delete(): Promise<DeleteResult>;
+  get<R = T>(): Promise<R[]>;
+  first<R = T>(): Promise<R | null>;
+  count(): Promise<number>;
+  exists(): Promise<boolean>;
+  paginate<R = T>(page?: number, perPage?: number): Promise<PaginateResult<R>>;
+  cursorPaginate<R = T>(options?: CursorPaginateOptions): Promise<CursorPaginateResult<R>>;
+  clone(): this;
+}
+
+export type ReferentialAction = 'cascade' | 'set null' | 'restrict' | 'no action' | 'set default' | 'CASCADE' | 'SET NULL' | 'RESTRICT' | 'NO ACTION' | 'SET DEFAULT';
+
+declare class ColumnDefinition {
+  name: string;
+  type: string;
+  unsigned(): this;
+  nullable(value?: boolean): this;
+  notNullable(): this;
+  default(value: any): this;
+  /** DEFAULT CURRENT_TIMESTAMP */
+  useCurrent(): this;
+  /** ON UPDATE CURRENT_TIMESTAMP */
+  useCurrentOnUpdate(): this;
+  autoIncrement(): this;
+  primary(): this;
+  unique(): this;
+  index(): this;
+  comment(text: string): this;
+  /** ALTER TABLE only */
+  after(column: string): this;
+  first(): this;
+  /** ALTER TABLE only: MODIFY the existing column */
+  change(): this;
+  toSQL(): string;
+}
+
+declare class ForeignKeyDefinition {
+  /** 'table.column', or column(s) combined with on(table) */
+  references(columns: string | string[]): this;
+  on(table: string): this;
+  inTable(table: string): this;
+  onDelete(action: ReferentialAction): this;
+  onUpdate(action: ReferentialAction): this;
+  toSQL(): string;
+}
+
+declare class TableBlueprint {
+  table: string;
+  increments(name?: string): ColumnDefinition;
+  bigIncrements(name?: string): ColumnDefinition;
+  tinyInteger(name: string): ColumnDefinition;
+  smallInteger(name: string): ColumnDefinition;
+  integer(name: string): ColumnDefinition;
+  bigInteger(name: string): ColumnDefinition;
+  decimal(name: string, precision?: number, scale?: number): ColumnDefinition;
+  float(name: string): ColumnDefinition;
+  double(name: string): ColumnDefinition;
+  boolean(name: string): ColumnDefinition;
+  string(name: string, length?: number): ColumnDefinition;
+  char(name: string, length?: number): ColumnDefinition;
+  text(name: string): ColumnDefinition;
+  mediumText(name: string): ColumnDefinition;
+  longText(name: string): ColumnDefinition;
+  json(name: string): ColumnDefinition;
+  uuid(name: string): ColumnDefinition;
+  binary(name: string, length?: number | null): ColumnDefinition;
+  enum(name: string, values: string[]): ColumnDefinition;
+  date(name: string): ColumnDefinition;
+  time(name: string): ColumnDefinition;
+  dateTime(name: string, precision?: number): ColumnDefinition;
+  timestamp(name: string, precision?: number): ColumnDefinition;
+  /** createdAtColumn / updatedAtColumn of the helper */
+  timestamps(): void;
+  primary(columns: string | string[]): this;
+  unique(columns: string | string[], name?: string | null): this;
+  index(columns: string | string[], name?: string | null, options?: IndexOptions): this;
+  /** Adds the column as INT UNSIGNED in createTable() when it is not declared */
+  foreign(columns: string | string[], name?: string | null): ForeignKeyDefinition;
+  dropColumn(columns: string | string[]): this;
+  renameColumn(from: string, to: string): this;
+  dropIndex(name: string): this;
+  dropForeign(name: string): this;
+  toCreateSQL(options?: CreateTableOptions): string;
+  toAlterSQL(): string | null;
+}
+
+export interface CreateTableOptions {
+  ifNotExists?: boolean;
+  /** Default InnoDB */
+  engine?: string;
+  /** Default utf8mb4 */
+  charset?: string;
+  collate?: string;
+}
+
+declare class SchemaBuilder {
+  constructor(db: MySQLHelper);
+  createTable(name: string, callback: (table: TableBlueprint) => void, options?: CreateTableOptions): Promise<void>;
+  alterTable(name: string, callback: (table: TableBlueprint) => void): Promise<void>;
+  renameColumn(table: string, from: string, to: string): Promise<void>;
+  dropColumn(table: string, columns: string | string[]): Promise<void>;
+  hasTable(table: string): Promise<boolean>;
+  hasColumn(table: string, column: string): Promise<boolean>;
+  renameTable(from: string, to: string): Promise<void>;
+  dropTable(table: string): Promise<void>;
+  dropTableIfExists(table: string): Promise<void>;
+}
+
+export interface MigratorOptions {
+  /** Directory with NNNN_name.mjs files exporting up(helper) and down(helper) (default ./migrations) */
+  directory?: string;
+  /** Tracking table (default schema_migrations) */
+  table?: string;
+  /** GET_LOCK name (default "<database>.<table>") */
+  lockName?: string;
+  /** Seconds to wait for the lock (default 10) */
+  lockTimeout?: number;
+}
+
+export interface MigrationStatus {
+  name: string;
+  applied: boolean;
+  batch: number | null;
+  migratedAt: Date | null;
+  /** Applied, but the file is no longer in the directory */
+  missing?: boolean;
+}
+
+/**
+ * Shape of a migration module
+ */
+export interface Migration {
+  up(helper: MySQLHelper): Promise<void>;
+  down?(helper: MySQLHelper): Promise<void>;
+  /** Set to false to run without a transaction */
+  transaction?: boolean;
+}
+
+declare class Migrator {
+  constructor(db: MySQLHelper, options?: MigratorOptions);
+  /** Apply pending migrations as one batch; resolves to their names */
+  migrate(): Promise<string[]>;
+  /** Roll back the last `steps` migrations, or the last batch when omitted */
+  rollback(steps?: number): Promise<string[]>;
+  reset(): Promise<string[]>;
+  status(): Promise<MigrationStatus[]>;
+}
+
+export interface FactoryContext {
+  /** 1-based counter shared by every create()/make() of the definition */
+  sequence: number;
+  /** Position of the row within the current create()/make() call */
+  index: number;
+}
+
+/**
+ * Attribute values may be another Factory (a related row is created and its
+ * id used), a sequence() or a function of the row context
+ */
+export type FactoryDefinition = (context: FactoryContext) => Record<string, any>;
+export type FactoryOverrides = Record<string, any> | ((context: FactoryContext) => Record<string, any>);
+
+export interface FactoryOptions {
+  /** Column filled from insertId on created rows (default 'id') */
+  primaryKey?: string;
+}
+
+export interface FactoryCreateOptions extends CRUDOptions {
+  /** Rows per INSERT; more rows go through batchInsert() (default 100) */
+  batchSize?: number;
+}
+
+declare class Sequence {
+  values: any[];
+  valueFor(context: FactoryContext): any;
+}
+
+/** Attribute value cycling through `values` by the row's sequence number */
+declare function sequence(...values: any[]): Sequence;
+
+/** TypeScript interfaces for the helper's tables (same as helper.generateTypes()) */
+declare function generateTypes(db: MySQLHelper, options?: GenerateTypesOptions): Promise<string>;
+
+declare class Factory<T = Record<string, any>> {
+  constructor(db: MySQLHelper, table: string, state: { definition: FactoryDefinition; options: FactoryOptions; sequence: number });
+  table: string;
+  readonly primaryKey: string;
+  /** Build rows without inserting them; related factories are left out */
+  make(): T;
+  make(count: number, overrides?: FactoryOverrides): T[];
+  /** Insert rows and resolve to them with their generated ids */
+  create(): Promise<T>;
+  create(count: number, overrides?: FactoryOverrides, options?: FactoryCreateOptions): Promise<T[]>;
+}
+
+export interface SeederOptions {
+  /** Directory with seed modules run in file name order (default ./seeds) */
+  directory?: string;
+}
+
+export interface SeederRunOptions {
+  /** Seed names (file names without extension) to run */
+  only?: string | string[];
+  /** true truncates the tables the selected seeds declare; an array names them */
+  truncate?: boolean | string[];
+}
+
+/**
+ * Shape of a seed module (run may also be the default export)
+ */
+export interface Seed {
+  run(helper: MySQLHelper): Promise<void>;
+  /** Tables filled by the seed, truncated first with { truncate: true } */
+  tables?: string[];
+}
+
+declare class Seeder {
+  constructor(db: MySQLHelper, options?: SeederOptions);
+  /** Run the seeds; resolves to the names run */
+  run(options?: SeederRunOptions): Promise<string[]>;
+  /** Truncate tables on one connection with FOREIGN_KEY_CHECKS disabled */
+  truncate(tables: string[]): Promise<void>;
+}
+
+/**
+ * DB maps table names to row types (see generateTypes()); with it, CRUD
+ * methods infer row types from the table name and type-check written data
+ */
+export type AttributeType = 'string' | 'integer' | 'number' | 'boolean' | 'date' | 'json' | 'buffer';
+
+export interface AttributeRule {
+  type?: AttributeType;
+  required?: boolean;
+  /** Value for new models; a function is called per model */
+  default?: any;
+  minLength?: number;
+  maxLength?: number;
+  min?: number | Date;
+  max?: number | Date;
+  enum?: any[];
+  pattern?: RegExp;
+  /** Return false or an error message to reject the value */
+  validate?(value: any, model: Model): boolean | string | void;
+}
+
+export interface ModelDefinition {
+  table: string;
+  /** Default 'id' */
+  primaryKey?: string;
+  attributes?: Record<string, AttributeRule>;
+  /** Registered for the table as with defineRelations() */
+  relations?: Record<string, RelationDefinition>;
+}
+
+/**
+ * Thrown by save() before any SQL runs
+ */
+export declare class ValidationError extends Error {
+  model: string;
+  /** Messages per attribute */
+  errors: Record<string, string[]>;
+}
+
+/**
+ * Base class of the classes returned by defineModel()
+ */
+export declare class Model {
+  /** True once loaded from or saved to the database */
+  exists: boolean;
+  fill(attributes: Record<string, any>): this;
+  getKey(): any;
+  /** Eager load relations onto this model */
+  load(...relations: Array<string | string[] | EagerLoadConstraints>): Promise<this>;
+  setRelation(name: string, value: any): this;
+  getRelation<R = any>(name: string): R;
+  /** Attributes changed since the model was loaded or last saved */
+  getDirty(): Record<string, any>;
+  isDirty(attribute?: string): boolean;
+  validate(): Record<string, string[]>;
+  /** INSERT a new model or UPDATE its changed columns; false when nothing changed */
+  save(): Promise<boolean>;
+  delete(): Promise<void>;
+  refresh(): Promise<this>;
+  toJSON(): Record<string, any>;
+}
+
+export type ModelInstance<T> = Model & T;
+
+export interface ModelClass<T = Record<string, any>> {
+  new (attributes?: Partial<T>): ModelInstance<T>;
+  db: MySQLHelper;
+  modelName: string;
+  table: string;
+  primaryKey: string;
+  attributes: Record<string, AttributeRule>;
+  /** Instance for a row read from the database */
+  hydrate(row: Record<string, any>): ModelInstance<T>;
+  /** QueryBuilder whose get()/first()/paginate() return model instances */
+  query(): QueryBuilder<ModelInstance<T>>;
+  where(column: Identifier, operator: string, value: any): QueryBuilder<ModelInstance<T>>;
+  where(column: Identifier, value: any): QueryBuilder<ModelInstance<T>>;
+  where(group: (qb: QueryBuilder) => void): QueryBuilder<ModelInstance<T>>;
+  where(conditions: WhereInput): QueryBuilder<ModelInstance<T>>;
+  with(...relations: Array<string | string[] | EagerLoadConstraints>): QueryBuilder<ModelInstance<T>>;
+  withRelations(...relations: Array<string | string[] | EagerLoadConstraints>): QueryBuilder<ModelInstance<T>>;
+  all(): Promise<ModelInstance<T>[]>;
+  find(id: number | string): Promise<ModelInstance<T> | null>;
+  create(attributes?: Partial<T>): Promise<ModelInstance<T>>;
+}
+
+export interface GenerateTypesOptions {
+  /** File to write the declarations to */
+  output?: string;
+  /** Only these tables (default: every table of the database) */
+  tables?: string[];
+  /** Name of the interface mapping table names to row types (default Database) */
+  interfaceName?: string;
+}
+
+declare class MySQLHelper<DB = any> extends EventEmitter {
+  constructor(config: MySQLConfig);
+
+  /** True on the helper passed to transaction() callbacks */
+  inTransaction: boolean;
+  /** Nesting level of the transaction helper (0 outside transactions) */
+  transactionDepth: number;
+
+  // Connection Management
+  createPool(): Promise<Pool>;
+  connect(): Promise<Connection>;
+  getConnection(): Promise<PoolConnection | Connection>;
+  testConnection(): Promise<boolean>;
+  close(): Promise<void>;
+
+  // Read/write splitting
+  /** Helper whose reads always run on the primary */
+  onPrimary(): this;
+  /** Run callback in a routing context that keeps reads on the primary right after a write */
+  context<T>(callback: () => T): T;
+
+  // Multi-tenancy
+  /** Set on helpers returned by forTenant() */
+  tenantId: any;
+  forTenant(tenantId: any): Promise<this>;
+
+  // Hooks
+  addHook(hookName: 'beforeQuery' | 'afterQuery' | 'onError' | 'beforeInsert' | 'afterInsert' | 'beforeUpdate' | 'afterUpdate', callback: HookCallback): void;
+  removeHook(hookName: 'beforeQuery' | 'afterQuery' | 'onError' | 'beforeInsert' | 'afterInsert' | 'beforeUpdate' | 'afterUpdate', callback: HookCallback): void;
+
+  // Query Execution
+  query<T = any>(sql: string, params?: any[], options?: QueryOptions): Promise<T[]>;
+  queryBuilder<T = any>(): QueryBuilder<T, DB>;
+  migrator(options?: MigratorOptions): Migrator;
+  /** Define a row factory for a table, or get the one defined earlier */
+  factory<K extends TableName<DB>>(table: K, definition?: FactoryDefinition, options?: FactoryOptions): Factory<RowOf<DB, K>>;
+  factory<T = Record<string, any>>(table: string, definition?: FactoryDefinition, options?: FactoryOptions): Factory<T>;
+  seeder(options?: SeederOptions): Seeder;
+  /** Model classes defined with defineModel(), by name */
+  models: Map<string, ModelClass<any>>;
+  defineModel<T = Record<string, any>>(name: string, definition: ModelDefinition): ModelClass<T>;
+  /** Declared relations by table, then by name */
+  relations: Map<string, Record<string, RelationDefinition & { type: 'hasOne' | 'hasMany' | 'belongsTo' | 'belongsToMany'; table: string }>>;
+  /** Declare relations of a table for eager loading with queryBuilder().with() */
+  defineRelations(table: string, relations: Record<string, RelationDefinition>): this;
+  /** Write TypeScript interfaces for the database's tables; resolves to the source */
+  generateTypes(options?: GenerateTypesOptions): Promise<string>;
+  /** Fluent CREATE/ALTER TABLE builder */
+  readonly schema: SchemaBuilder;
+  stream(sql: string, params?: any[], options?: StreamOptions): Readable;
+  iterate<T = any>(sql: string, params?: any[], options?: StreamOptions): AsyncGenerator<T, void, undefined>;
+
+  // CRUD Operations
+  select<K extends TableName<DB>>(table: K, options?: SelectOptions): Promise<RowOf<DB, K>[]>;
+  select<T = any>(table: string, options?: SelectOptions): Promise<T[]>;
+  insert<K extends string>(table: K, data: InsertRowOf<DB, K>, options?: CRUDOptions): Promise<InsertResult>;
+  insertMany<K extends string>(table: K, dataArray: InsertRowOf<DB, K>[], options?: CRUDOptions): Promise<InsertResult>;
+  upsert<K extends string>(table: K, data: InsertRowOf<DB, K>, updateFields?: string[], options?: CRUDOptions): Promise<InsertResult>;
+  update<K extends string>(table: K, data: UpdateRowOf<DB, K>, where: WhereInput, options?: CRUDOptions): Promise<UpdateResult>;
+  delete(table: string, where: WhereInput): Promise<DeleteResult>;
+  findById<K extends TableName<DB>>(table: K, id: number | string, idColumn?: string): Promise<RowOf<DB, K> | null>;
+  findById<T = any>(table: string, id: number | string, idColumn?: string): Promise<T | null>;
+  findOne<K extends TableName<DB>>(table: K, where: WhereInput): Promise<RowOf<DB, K> | null>;
+  findOne<T = any>(table: string, where: WhereInput): Promise<T | null>;
+  exists(table: string, where: WhereInput): Promise<boolean>;
+
+  // Batch Processing
+  batchInsert<K extends string>(table: K, dataArray: InsertRowOf<DB, K>[], batchSize?: number, options?: CRUDOptions): Promise<BatchInsertResult>;
+  batchUpdate(table: string, updates: UpdateBatch[], batchSize?: number): Promise<UpdateResult[]>;
+  batchProcess<T = any, R = any>(
+    items: T[],
+    processor: (batch: T[]) => Promise<R>,
+    options?: BatchProcessOptions
+  ): Promise<R[]>;
+
+  // Pagination
+  paginate<K extends TableName<DB>>(table: K, options?: PaginateOptions): Promise<PaginateResult<RowOf<DB, K>>>;
+  paginate<T = any>(table: string, options?: PaginateOptions): Promise<PaginateResult<T>>;
+  cursorPaginate<K extends TableName<DB>>(table: K, options?: HelperCursorPaginateOptions): Promise<CursorPaginateResult<RowOf<DB, K>>>;
+  cursorPaginate<T = any>(table: string, options?: HelperCursorPaginateOptions): Promise<CursorPaginateResult<T>>;
+
+  // Transactions
+  beginTransaction(options?: Pick<TransactionOptions, 'isolationLevel' | 'readOnly'>): Promise<PoolConnection>;
+  transaction<T = any>(callback: (trx: TransactionHelper<DB>) => Promise<T>, options?: TransactionOptions): Promise<T>;
+  transactionQuery<T = any>(conn: PoolConnection, sql: string, params?: any[]): Promise<T[]>;
+
+  // Aggregations
+  count(table: string, where?: WhereInput): Promise<number>;
+  sum(table: string, column: string, where?: WhereInput): Promise<number>;
+  avg(table: string, column: string, where?: WhereInput): Promise<number>;
+  min(table: string, column: string, where?: WhereInput): Promise<any>;
+  max(table: string, column: string, where?: WhereInput): Promise<any>;
+
+  // Caching
+  cache: CacheStore;
+  clearCache(): Promise<void>;
+  /** Drop cached results that read from the table(s); resolves to the number removed */
+  invalidateTable(table: string | string[]): Promise<number>;
+  getCacheStats(): CacheStats;
+
+  // Stored Procedures
+  callProcedure<T = any>(procedureName: string, params?: any[]): Promise<T[]>;
+  createProcedure(procedureName: string, params: string, body: string): Promise<void>;
+  dropProcedure(procedureName: string, ifExists?: boolean): Promise<void>;
+  procedureExists(procedureName: string): Promise<boolean>;
+  listProcedures(): Promise<ProcedureInfo[]>;
+
+  // Index Management
+  createIndex(table: string, indexName: string, columns: string | string[], options?: IndexOptions): Promise<{ success: boolean; indexName: string }>;
+  dropIndex(table: string, indexName: string): Promise<void>;
+  indexExists(table: string, indexName: string): Promise<boolean>;
+  listIndexes(table: string): Promise<IndexInfo[]>;
+  analyzeTable(table: string): Promise<any>;
+  optimizeTable(table: string): Promise<any>;
+
+  // Monitoring & Health
+  getPoolStatus(): Promise<PoolStatus | null>;
+  getQueryLog(): QueryLog[];
+  clearQueryLog(): void;
+  getSlowQueries(threshold?: number): QueryLog[];
+
+  // Utilities
+  tableExists(table: string): Promise<boolean>;
+  getTableSchema(table: string): Promise<TableSchema[]>;
+  getTables(): Promise<string[]>;
+  truncate(table: string): Promise<void>;
+
+  // Events
+  on(event: 'queryExecuted', listener: (data: { sql: string; params: any[]; executionTime: number; rowCount: number }) => void): this;
+  on(event: 'connectionAcquired', listener: (threadId: number) => void): this;
+  on(event: 'connected', listener: (threadId: number) => void): this;
+  on(event: 'poolCreated', listener: (pool: Pool) => void): this;
+  on(event: 'poolClosed', listener: () => void): this;
+  on(event: 'tenantPoolCreated', listener: (data: { tenantId: any; host: string; database: string }) => void): this;
+  on(event: 'tenantPoolEvicted', listener: (data: { key: string }) => void): this;
+  on(event: 'replicaPoolCreated', listener: (data: { index: number; host: string }) => void): this;
+  on(event: 'connectionClosed', listener: () => void): this;
+  on(event: 'transactionStarted', listener: (data: TransactionEvent) => void): this;
+  on(event: 'transactionCommitted', listener: (data: TransactionEvent) => void): this;
+  on(event: 'transactionRolledBack', listener: (data: TransactionEvent & { error: string }) => void): this;
+  on(event: 'transactionRetry', listener: (data: TransactionRetryEvent) => void): this;
+  on(event: 'cacheHit', listener: (data: { sql: string; params: any[] }) => void): this;
+  on(event: 'cacheCleared', listener: () => void): this;
+  on(event: 'tableCreated', listener: (data: { table: string }) => void): this;
+  on(event: 'tableAltered', listener: (data: { table: string }) => void): this;
+  on(event: 'tableDropped', listener: (data: { table: string }) => void): this;
+  on(event: 'migrationApplied', listener: (data: { name: string; batch: number; duration: number }) => void): this;
+  on(event: 'migrationRolledBack', listener: (data: { name: string; batch: number; duration: number }) => void): this;
+  on(event: 'migrationFailed', listener: (data: { name: string; direction: 'up' | 'down'; error: string }) => void): this;
+  on(event: 'factoryCreated', listener: (data: { table: string; count: number }) => void): this;
+  on(event: 'seedRun', listener: (data: { name: string; duration: number }) => void): this;
+  on(event: 'seedFailed', listener: (data: { name: string; error: string }) => void): this;
+  on(event: 'cacheStale', listener: (data: { sql: string; params: any[] }) => void): this;
+  on(event: 'queryDeduplicated', listener: (data: { sql: string; params: any[] }) => void): this;
+  on(event: 'cacheError', listener: (data: { operation: string; error: string }) => void): this;
+  on(event: 'cacheInvalidated', listener: (data: { tables: string[]; removed: number }) => void): this;
+  on(event: 'batchProgress', listener: (data: { current: number; total: number; processedRows: number }) => void): this;
+  on(event: 'queryError', listener: (data: { sql: string; params: any[]; error: string }) => void): this;
+  on(event: 'queryRetry', listener: (data: { sql: string; params: any[]; attempt: number; code: string; error: string }) => void): this;
+  on(event: 'connectionRetry', listener: (data: { attempt: number; error: string }) => void): this;
+  on(event: 'connectionTest', listener: (data: { success: boolean; error?: string }) => void): this;
+  on(event: 'tableTruncated', listener: (data: { table: string }) => void): this;
+  on(event: 'procedureCalled', listener: (data: { procedureName: string; params: any[] }) => void): this;
+  on(event: 'procedureCreated', listener: (data: { procedureName: string }) => void): this;
+  on(event: 'procedureDropped', listener: (data: { procedureName: string }) => void): this;
+  on(event: 'indexCreated', listener: (data: { table: string; indexName: string; columns: string | string[] }) => void): this;
+  on(event: 'indexDropped', listener: (data: { table: string; indexName: string }) => void): this;
+  on(event: 'tableAnalyzed', listener: (data: { table: string }) => void): this;
+  on(event: 'tableOptimized', listener: (data: { table: string }) => void): this;
+}
+
+/**
+ * Helper bound to a transaction's connection
+ */
+export interface TransactionHelper<DB = any> extends MySQLHelper<DB> {
+  inTransaction: true;
+  conn: PoolConnection;
+  execute(sql: string, params?: any[]): Promise<[any, any]>;
+}
+
+export default MySQLHelper;
+export { QueryBuilder, Migrator, SchemaBuilder, TableBlueprint, ColumnDefinition, ForeignKeyDefinition, Factory, Sequence, Seeder, sequence, generateTypes };
\ No newline at end of file
@@ -1,6 +1,52 @@
 import mysql from 'mysql2/promise';
 import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { AsyncLocalStorage } from 'async_hooks';
 import QueryBuilder from './querybuilder.mjs';
+import Migrator from './migrator.mjs';
+import SchemaBuilder from './schemabuilder.mjs';
+import { Factory, sequence } from './factory.mjs';
+import Seeder from './seeder.mjs';
+import generateTypes from './typegen.mjs';
+import { Model, ValidationError, defineModel } from './model.mjs';
+import { normalizeRelation } from './relations.mjs';
+import {
+  raw,
+  quoteIdentifier,
+  columnList,
+  orderByList,
+  nonNegativeInteger,
+  compileWhere,
+  isReadStatement,
+  isSessionStatement,
+  referencedTables
+} from './sql.mjs';
+import { MemoryCacheStore, FileCacheStore, jsonSerializer } from './cache.mjs';
+import {
+  QueryError,
+  DuplicateEntryError,
+  ForeignKeyError,
+  ConnectionLostError,
+  DeadlockError,
+  QueryTimeoutError,
+  classifyError,
+  isConnectionLost
+} from './errors.mjs';
+
+const INDEX_TYPES = ['BTREE', 'HASH', 'FULLTEXT', 'SPATIAL'];
+
+const REPLICA_STRATEGIES = ['round-robin', 'least-busy'];
+
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+// ER_LOCK_DEADLOCK and ER_LOCK_WAIT_TIMEOUT: InnoDB rolls back (part of) the
+// transaction and the whole unit of work can safely run again
+const RETRYABLE_TRANSACTION_ERRORS = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'];
+const RETRYABLE_TRANSACTION_ERRNOS = [1213, 1205];
+
+// Written-table marker for a write whose tables are unknown (CALL, ...):
+// the whole cache is cleared
+const ALL_TABLES = '*';
 
 class MySQLHelper extends EventEmitter {
   constructor(config) {
@@ -23,6 +69,39 @@ class MySQLHelper extends EventEmitter {
     
     this.pool = null;
     this.connection = null;
+    // Set on transaction- and connection-scoped helpers (see _transactionScope
+    // and _connectionScope)
+    this._conn = null;
+    this.inTransaction = false;
+    this.transactionDepth = 0;
+    // Tracks the active transaction helper across async calls, so a nested
+    // transaction() started from the root helper becomes a savepoint
+    this._transactionContext = new AsyncLocalStorage();
+
+    // Read replicas: each entry overrides the primary config (usually just host)
+    const { replicas = [], ...primaryConfig } = this.config;
+    this.config = primaryConfig;
+    this.replicaConfigs = replicas.map(replica => ({ ...primaryConfig, ...replica }));
+    this.replicaPools = [];
+    this.replicaStrategy = config.replicaStrategy || 'round-robin';
+    if (!REPLICA_STRATEGIES.includes(this.replicaStrategy)) {
+      throw new Error(`Invalid replicaStrategy "${this.replicaStrategy}": expected one of ${REPLICA_STRATEGIES.join(', ')}`);
+    }
+    this.stickyPrimaryWindow = config.stickyPrimaryWindow ?? 1000;
+    this._nextReplica = 0;
+    // Set on helpers returned by onPrimary()
+    this._forcePrimary = false;
+    // Per-request routing state (see context()): time of the last write
+    this._routingContext = new AsyncLocalStorage();
+
+    // Multi-tenancy: tenantId => config overrides, pools kept in LRU order
+    this.tenantResolver = config.tenantResolver || null;
+    this.maxTenantPools = config.maxTenantPools || 10;
+    this.tenantPools = new Map();
+    // Set on helpers returned by forTenant()
+    this.tenantId = null;
+    // Prefix of cache keys and tags: the database a tenant helper reads
+    this._cacheNamespace = '';
     this.hooks = {
       beforeQuery: [],
       afterQuery: [],
@@ -32,9 +111,27 @@ class MySQLHelper extends EventEmitter {
       beforeUpdate: [],
       afterUpdate: []
     };
-    this.cache = new Map();
+    // Any object with async get/set/del/delByTag/clear (see cache.mjs)
+    this.cache = config.cacheStore || new MemoryCacheStore({
+      maxEntries: config.cacheMaxEntries || 1000,
+      maxBytes: config.cacheMaxBytes || null
+    });
+    this._cacheStats = { hits: 0, misses: 0, staleHits: 0, sets: 0, invalidations: 0, deduplicated: 0, errors: 0 };
     this.cacheEnabled = config.cache || false;
     this.cacheTTL = config.cacheTTL || 300000; // 5 minutes default
+    // How long past its TTL an entry may still be served while it is refreshed
+    this.cacheStaleWhileRevalidate = config.cacheStaleWhileRevalidate || 0;
+    // Coalesce identical cacheable reads that are in flight at the same time
+    this.dedupe = config.dedupe !== false;
+    this._inFlight = new Map();
+    // Background refreshes of stale entries, one per key (see _refresh())
+    this._refreshing = new Map();
+    // Factory definitions by table (see factory())
+    this._factories = new Map();
+    // Model classes by name (see defineModel())
+    this.models = new Map();
+    // Relations by table, then by name (see defineRelations())
+    this.relations = new Map();
     this.retryAttempts = config.retryAttempts || 3;
     this.retryDelay = config.retryDelay || 1000;
     this.queryLog = [];
@@ -62,6 +159,90 @@ class MySQLHelper extends EventEmitter {
     return this.pool;
   }
 
+  _createReplicaPools() {
+    if (this.replicaPools.length === 0 && this.replicaConfigs.length > 0) {
+      this.replicaPools = this.replicaConfigs.map((replicaConfig, index) => {
+        const pool = mysql.createPool(replicaConfig);
+        this.emit('replicaPoolCreated', { index, host: replicaConfig.host });
+        return pool;
+      });
+    }
+    return this.replicaPools;
+  }
+
+  /**
+   * Pick a replica pool for a read: in turn, or the one with the fewest
+   * connections in use (ties go round-robin)
+   */
+  _replicaPool() {
+    const pools = this._createReplicaPools();
+    const start = this._nextReplica++ % pools.length;
+    if (this.replicaStrategy === 'round-robin') {
+      return pools[start];
+    }
+
+    let chosen = pools[start];
+    let lowest = Infinity;
+    for (let i = 0; i < pools.length; i++) {
+      const pool = pools[(start + i) % pools.length];
+      const { totalConnections, freeConnections, queuedRequests } = this._poolStatus(pool);
+      const load = totalConnections - freeConnections + queuedRequests;
+      if (load < lowest) {
+        lowest = load;
+        chosen = pool;
+      }
+    }
+    return chosen;
+  }
+
+  /**
+   * Where a statement runs: the transaction's connection, a replica for reads
+   * marked `replica` (unless forced or stuck to the primary), else the primary
+   */
+  _target(options = {}) {
+    if (this._conn) {
+      return this._conn;
+    }
+    if (this._readsFromReplica(options)) {
+      return this._replicaPool();
+    }
+    return this.pool || this.connection;
+  }
+
+  _readsFromReplica(options = {}) {
+    return Boolean(options.replica) && this.replicaConfigs.length > 0 && !this._forcePrimary && !this._stickyPrimary();
+  }
+
+  /**
+   * Helper whose reads always go to the primary (e.g. read-your-own-write)
+   */
+  onPrimary() {
+    const scoped = Object.create(this);
+    scoped._forcePrimary = true;
+    return scoped;
+  }
+
+  /**
+   * Run `callback` in a routing context (one per request or job): after a
+   * write inside it, reads go to the primary for `stickyPrimaryWindow` ms so
+   * they are not served by a lagging replica.
+   */
+  context(callback) {
+    return this._routingContext.run({ lastWriteAt: 0 }, callback);
+  }
+
+  _markWrite() {
+    const store = this._routingContext.getStore();
+    if (store) {
+      store.lastWriteAt = Date.now();
+    }
+  }
+
+  _stickyPrimary() {
+    const store = this._routingContext.getStore();
+    return Boolean(store) && Date.now() - store.lastWriteAt < this.stickyPrimaryWindow;
+  }
+
   async connect() {
     if (!this.connection) {
       this.connection = await this._connectWithRetry();
@@ -84,7 +265,9 @@ class MySQLHelper extends EventEmitter {
   }
 
   async getConnection() {
-    if (this.pool) {
+    if (this._conn) {
+      return this._conn;
+    } else if (this.pool) {
       return await this.pool.getConnection();
     } else if (this.connection) {
       return this.connection;
@@ -126,8 +309,9 @@ class MySQLHelper extends EventEmitter {
   }
 
   async _runHooks(hookName, data) {
+    const payload = { ...data, transaction: this.inTransaction };
     for (const callback of this.hooks[hookName]) {
-      await callback(data);
+      await callback(payload);
     }
   }
 
@@ -152,36 +336,182 @@ class MySQLHelper extends EventEmitter {
     return timestampedData;
   }
 
+  // ============================================
+  // MULTI-TENANT ROUTING
+  // ============================================
+
+  /**
+   * Helper scoped to a tenant's database. `tenantResolver(tenantId)` returns
+   * the database name or config overrides ({ host, database, ... }); tenants
+   * resolving to the same server and database share one pool.
+   */
+  async forTenant(tenantId) {
+    if (!this.tenantResolver) {
+      throw new Error('forTenant() requires a tenantResolver in the config');
+    }
+    if (this.tenantId !== null) {
+      throw new Error('forTenant() must be called on the root helper');
+    }
+
+    const resolved = await this.tenantResolver(tenantId);
+    if (!resolved) {
+      throw new Error(`Unknown tenant "${tenantId}"`);
+    }
+    const overrides = typeof resolved === 'string' ? { database: resolved } : resolved;
+    const tenantConfig = { ...this.config, ...overrides };
+
+    this._tenantPool(tenantId, tenantConfig);
+
+    const scoped = Object.create(this);
+    scoped.tenantId = tenantId;
+    scoped.config = tenantConfig;
+    // Cached rows belong to the database, not the tenant: tenants sharing a
+    // database (or the root's) must invalidate each other's entries
+    const { host, port, database } = tenantConfig;
+    const sameAsRoot = host === this.config.host && port === this.config.port && database === this.config.database;
+    scoped._cacheNamespace = sameAsRoot ? '' : `db:${host}:${port}/${database}:`;
+    // Looked up on every use: the pool may have been evicted (and ended)
+    // since, in which case a new one is created
+    Object.defineProperty(scoped, 'pool', {
+      get: () => this._tenantPool(tenantId, tenantConfig),
+      enumerable: true,
+      configurable: true
+    });
+    scoped.connection = null;
+    // Replicas serve the root database, not the tenant's
+    scoped.replicaConfigs = [];
+    scoped.replicaPools = [];
+    return scoped;
+  }
+
+  _tenantPool(tenantId, tenantConfig) {
+    const { host, port, user, database } = tenantConfig;
+    const key = `${user}@${host}:${port}/${database}`;
+
+    let pool = this.tenantPools.get(key);
+    if (pool) {
+      // Re-insert to mark as most recently used
+      this.tenantPools.delete(key);
+    } else {
+      pool = mysql.createPool(tenantConfig);
+      this.emit('tenantPoolCreated', { tenantId, host, database });
+    }
+    this.tenantPools.set(key, pool);
+
+    this._evictTenantPools();
+    return pool;
+  }
+
+  /**
+   * End least recently used tenant pools beyond maxTenantPools, skipping
+   * pools with connections in use. Helpers of an evicted tenant get a new
+   * pool on their next query.
+   */
+  _evictTenantPools() {
+    let excess = this.tenantPools.size - this.maxTenantPools;
+    for (const [key, pool] of this.tenantPools) {
+      if (excess <= 0) {
+        break;
+      }
+      const { totalConnections, freeConnections, queuedRequests } = this._poolStatus(pool);
+      if (totalConnections > freeConnections || queuedRequests > 0) {
+        continue;
+      }
+      this.tenantPools.delete(key);
+      excess--;
+      pool.end().catch(() => {});
+      this.emit('tenantPoolEvicted', { key });
+    }
+  }
+
   // ============================================
   // QUERY EXECUTION WITH HOOKS & CACHING
   // ============================================
 
   async query(sql, params = [], options = {}) {
+    if (!this._cacheable(sql, options)) {
+      return await this._runQuery(sql, params, options);
+    }
+
+    const cacheKey = this._getCacheKey(sql, params, options);
+    const cached = await this._getFromCache(cacheKey);
+    if (cached && !cached.stale) {
+      this.emit('cacheHit', { sql, params });
+      return cached.rows;
+    }
+    if (cached) {
+      // Serve the expired rows while a single background query refreshes them
+      this.emit('cacheStale', { sql, params });
+      this._refresh(cacheKey, sql, params, options);
+      return cached.rows;
+    }
+    return await this._coalesce(cacheKey, sql, params, options);
+  }
+
+  /**
+   * Share one database round-trip between identical cacheable reads in
+   * flight at the same time, so an expiring hot key causes a single query
+   */
+  _coalesce(cacheKey, sql, params, options) {
+    if (!this.dedupe || options.dedupe === false) {
+      return this._runQuery(sql, params, options);
+    }
+
+    const key = this._flightKey(cacheKey, options);
+    const pending = this._inFlight.get(key);
+    if (pending) {
+      this._cacheStats.deduplicated++;
+      this.emit('queryDeduplicated', { sql, params });
+      return pending;
+    }
+
+    const promise = this._runQuery(sql, params, options).finally(() => this._inFlight.delete(key));
+    this._inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Start a background refresh of a stale entry unless one is already
+   * running for the key. Tracked apart from in-flight reads, so there is one
+   * refresh per key even with `dedupe: false`.
+   */
+  _refresh(cacheKey, sql, params, options) {
+    const key = this._flightKey(cacheKey, options);
+    if (this._refreshing.has(key)) {
+      return;
+    }
+    const refresh = this._coalesce(cacheKey, sql, params, options)
+      .catch(() => {})
+      .finally(() => this._refreshing.delete(key));
+    this._refreshing.set(key, refresh);
+  }
+
+  _flightKey(cacheKey, options) {
+    // Reads forced to the primary must not join a replica read
+    return `${this._readsFromReplica(options) ? 'replica' : 'primary'}:${cacheKey}`;
+  }
+
+  async _runQuery(sql, params, options) {
     const queryData = { sql, params, timestamp: Date.now() };
     
     try {
-      // Check cache
-      if (this.cacheEnabled && options.cache !== false) {
-        const cacheKey = this._getCacheKey(sql, params);
-        const cached = this._getFromCache(cacheKey);
-        if (cached) {
-          this.emit('cacheHit', { sql, params });
-          return cached;
-        }
-      }
-
       // Before query hook
       await this._runHooks('beforeQuery', queryData);
 
-      const conn = this.pool || this.connection;
+      const conn = this._conn || this.pool || this.connection;
       if (!conn) {
         await this.createPool();
       }
 
       const startTime = Date.now();
-      const [rows] = await (this.pool || this.connection).execute(sql, params);
+      const rows = await this._execute(sql, params, options);
       const executionTime = Date.now() - startTime;
 
+      if (!isReadStatement(sql)) {
+        this._markWrite();
+        await this._invalidateWrite(sql);
+      }
+
       // Log query if enabled
       if (this.logQueries) {
         this.queryLog.push({ sql, params, executionTime, timestamp: Date.now() });
@@ -191,9 +521,9 @@ class MySQLHelper extends EventEmitter {
       await this._runHooks('afterQuery', { ...queryData, rows, executionTime });
 
       // Cache result
-      if (this.cacheEnabled && options.cache !== false) {
-        const cacheKey = this._getCacheKey(sql, params);
-        this._setCache(cacheKey, rows, options.cacheTTL);
+      if (this._cacheable(sql, options)) {
+        const cacheKey = this._getCacheKey(sql, params, options);
+        await this._setCache(cacheKey, rows, options, referencedTables(sql));
       }
 
       this.emit('queryExecuted', { sql, params, executionTime, rowCount: rows.length });
@@ -202,7 +532,39 @@ class MySQLHelper extends EventEmitter {
     } catch (error) {
       await this._runHooks('onError', { ...queryData, error });
       this.emit('queryError', { sql, params, error: error.message });
-      throw new Error(`Query failed: ${error.message}`);
+      throw classifyError(error, { sql, params });
+    }
+  }
+
+  /**
+   * Execute a statement, retrying reads (or `options.retry: true`) up to
+   * `retryAttempts` times when the connection is lost. Never retries inside a
+   * transaction: the transaction is gone with its connection.
+   */
+  async _execute(sql, params, options = {}) {
+    const retry = options.retry ?? isReadStatement(sql);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // nestTables returns each row as { table: { column: value } }
+        const statement = options.nestTables ? { sql, nestTables: options.nestTables } : sql;
+        const [rows] = await this._target(options).execute(statement, params);
+        return rows;
+      } catch (error) {
+        if (!retry || this._conn || attempt >= this.retryAttempts || !isConnectionLost(error)) {
+          throw error;
+        }
+
+        this.emit('queryRetry', { sql, params, attempt, code: error.code, error: error.message });
+        await this._sleep(this.retryDelay * attempt);
+
+        // A pool hands out a fresh connection; a single connection must reconnect
+        if (!this.pool && this.connection) {
+          this.connection.destroy();
+          this.connection = null;
+          await this.connect();
+        }
+      }
     }
   }
 
@@ -214,11 +576,240 @@ class MySQLHelper extends EventEmitter {
     return new QueryBuilder(this);
   }
 
+  // ============================================
+  // SCHEMA BUILDER
+  // ============================================
+
+  /**
+   * Fluent CREATE/ALTER TABLE builder (see schemabuilder.mjs)
+   */
+  get schema() {
+    return new SchemaBuilder(this);
+  }
+
+  // ============================================
+  // MIGRATIONS
+  // ============================================
+
+  /**
+   * Migration runner for this helper's database (see migrator.mjs)
+   */
+  migrator(options = {}) {
+    return new Migrator(this, options);
+  }
+
+  // ============================================
+  // MODELS & RELATIONS
+  // ============================================
+
+  /**
+   * Define a model class for a table (see model.mjs). The class is bound to
+   * this helper and kept in `models` under its name.
+   */
+  defineModel(name, definition = {}) {
+    const ModelClass = defineModel(this, name, definition);
+    this.models.set(name, ModelClass);
+    if (definition.relations) {
+      this.defineRelations(definition.table, definition.relations);
+    }
+    return ModelClass;
+  }
+
+  /**
+   * Declare relations of `table` for eager loading with
+   * queryBuilder().with() (see relations.mjs):
+   *   customer: { belongsTo: 'customers', foreignKey: 'customer_id' }
+   *   items: { hasMany: 'order_items', foreignKey: 'order_id' }
+   *   tags: { belongsToMany: 'tags', through: 'order_tags', foreignPivotKey: 'order_id', relatedPivotKey: 'tag_id' }
+   */
+  defineRelations(table, relations) {
+    const declared = this.relations.get(table) || {};
+    for (const [name, relation] of Object.entries(relations)) {
+      declared[name] = normalizeRelation(table, name, relation);
+    }
+    this.relations.set(table, declared);
+    return this;
+  }
+
+  // ============================================
+  // FACTORIES & SEEDING
+  // ============================================
+
+  /**
+   * Define a row factory for `table`, or get the one defined earlier when
+   * `definition` is omitted (see factory.mjs). Options: primaryKey ('id').
+   */
+  factory(table, definition = null, options = {}) {
+    if (definition) {
+      if (typeof definition !== 'function') {
+        throw new Error(`Factory definition for ${table} must be a function`);
+      }
+      this._factories.set(table, { definition, options, sequence: 0 });
+    }
+    const state = this._factories.get(table);
+    if (!state) {
+      throw new Error(`No factory defined for table ${table}`);
+    }
+    return new Factory(this, table, state);
+  }
+
+  /**
+   * Seeder runner for this helper's database (see seeder.mjs)
+   */
+  seeder(options = {}) {
+    return new Seeder(this, options);
+  }
+
+  // ============================================
+  // TYPE GENERATION
+  // ============================================
+
+  /**
+   * TypeScript interfaces for this helper's tables, written to `output` when
+   * given (see typegen.mjs)
+   */
+  async generateTypes(options = {}) {
+    return await generateTypes(this, options);
+  }
+
+  // ============================================
+  // STREAMING
+  // ============================================
+
+  /**
+   * Stream rows of a query as an object-mode Readable without buffering the
+   * result set. Rows are read with backpressure; the connection is released
+   * when the stream ends, errors or is destroyed.
+   */
+  stream(sql, params = [], options = {}) {
+    const { highWaterMark = 100 } = options;
+    const queryData = { sql, params, timestamp: Date.now() };
+    let conn = null;
+    let source = null;
+    let started = false;
+    let finished = false;
+    let rowCount = 0;
+    let startTime = 0;
+
+    // A transaction-scoped helper streams on the transaction's connection,
+    // which must stay checked out
+    const ownsConnection = !this._conn;
+
+    const release = () => {
+      if (conn && ownsConnection && this.pool && conn.release) {
+        conn.release();
+      }
+      conn = null;
+    };
+
+    const start = async () => {
+      await this._runHooks('beforeQuery', queryData);
+      conn = await this.getConnection();
+
+      if (readable.destroyed) {
+        release();
+        return;
+      }
+
+      startTime = Date.now();
+      source = conn.connection.query(sql, params).stream({ highWaterMark });
+
+      source.on('data', row => {
+        rowCount++;
+        if (!readable.push(row)) {
+          source.pause();
+        }
+      });
+
+      source.on('error', error => {
+        finished = true;
+        readable.destroy(error);
+      });
+
+      source.on('end', async () => {
+        if (finished || readable.destroyed) return;
+        finished = true;
+        release();
+
+        const executionTime = Date.now() - startTime;
+        if (this.logQueries) {
+          this.queryLog.push({ sql, params, executionTime, timestamp: Date.now() });
+        }
+
+        try {
+          await this._runHooks('afterQuery', { ...queryData, rowCount, executionTime, streamed: true });
+          this.emit('queryExecuted', { sql, params, executionTime, rowCount });
+          readable.push(null);
+        } catch (error) {
+          readable.destroy(error);
+        }
+      });
+    };
+
+    const readable = new Readable({
+      objectMode: true,
+      highWaterMark,
+      read: () => {
+        if (source) {
+          source.resume();
+          return;
+        }
+        if (!started) {
+          started = true;
+          start().catch(error => readable.destroy(error));
+        }
+      },
+      destroy: (error, callback) => {
+        if (source && !finished) {
+          // mysql2 cannot cancel a running query, so an aborted pooled
+          // connection is dropped instead of going back mid-result
+          finished = true;
+          source.removeAllListeners('data');
+          if (this.pool && conn && ownsConnection) {
+            conn.destroy();
+            conn = null;
+          } else {
+            source.resume();
+          }
+        }
+        release();
+
+        // Breaking out of for-await destroys the stream with an AbortError
+        if (!error || error.name === 'AbortError') {
+          callback(error);
+          return;
+        }
+
+        const queryError = classifyError(error, { sql, params });
+        this.emit('queryError', { sql, params, error: error.message });
+        this._runHooks('onError', { ...queryData, error })
+          .catch(() => {})
+          .then(() => callback(queryError));
+      }
+    });
+
+    return readable;
+  }
+
+  /**
+   * Async iterator over the rows of a query: for await (const row of db.iterate(sql))
+   */
+  async *iterate(sql, params = [], options = {}) {
+    const stream = this.stream(sql, params, options);
+    try {
+      for await (const row of stream) {
+        yield row;
+      }
+    } finally {
+      stream.destroy();
+    }
+  }
+
   // ============================================
   // BATCH PROCESSING
   // ============================================
 
-  async batchInsert(table, dataArray, batchSize = 100) {
+  async batchInsert(table, dataArray, batchSize = 100, options = {}) {
     if (!dataArray || dataArray.length === 0) {
       throw new Error('Data array cannot be empty');
     }
@@ -231,7 +822,7 @@ class MySQLHelper extends EventEmitter {
       const end = Math.min(start + batchSize, dataArray.length);
       const batch = dataArray.slice(start, end);
 
-      const result = await this.insertMany(table, batch);
+      const result = await this.insertMany(table, batch, options);
       results.push(result);
       
       this.emit('batchProgress', {
@@ -309,40 +900,35 @@ class MySQLHelper extends EventEmitter {
   // ============================================
 
   async select(table, options = {}) {
-    const { columns = '*', where = {}, orderBy, limit, offset, groupBy, having } = options;
-    
-    let sql = `SELECT ${Array.isArray(columns) ? columns.join(', ') : columns} FROM ${table}`;
+    const { columns = '*', where = {}, orderBy, limit, offset, groupBy, having, allowedColumns } = options;
+    const allowlist = allowedColumns || null;
     const params = [];
 
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
+    let sql = `SELECT ${columnList(columns, { allowlist, params })} FROM ${quoteIdentifier(table)}`;
+
+    sql += this._whereClause(where, params, { allowlist });
 
     if (groupBy) {
-      sql += ` GROUP BY ${groupBy}`;
+      sql += ` GROUP BY ${columnList(groupBy, { allowStar: false, allowAlias: false, allowlist })}`;
     }
 
     if (having) {
-      sql += ` HAVING ${having}`;
+      sql += this._havingClause(having, params, { allowlist });
     }
 
     if (orderBy) {
-      sql += ` ORDER BY ${orderBy}`;
+      sql += ` ORDER BY ${orderByList(orderBy, { allowlist, params })}`;
     }
 
     if (limit) {
-      sql += ` LIMIT ${limit}`;
+      sql += ` LIMIT ${nonNegativeInteger(limit, 'limit')}`;
     }
 
     if (offset) {
-      sql += ` OFFSET ${offset}`;
+      sql += ` OFFSET ${nonNegativeInteger(offset, 'offset')}`;
     }
 
-    return await this.query(sql, params, options);
+    return await this.query(sql, params, { replica: true, ...options });
   }
 
   async insert(table, data, options = {}) {
@@ -354,7 +940,7 @@ class MySQLHelper extends EventEmitter {
     const values = Object.values(timestampedData);
     const placeholders = columns.map(() => '?').join(', ');
     
-    const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+    const sql = `INSERT INTO ${quoteIdentifier(table)} (${columnList(columns, { allowStar: false, allowAlias: false })}) VALUES (${placeholders})`;
     const result = await this.query(sql, values);
     
     const insertResult = {
@@ -380,7 +966,7 @@ class MySQLHelper extends EventEmitter {
     const placeholders = columns.map(() => '?').join(', ');
     const valuesSql = timestampedArray.map(() => `(${placeholders})`).join(', ');
     
-    const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${valuesSql}`;
+    const sql = `INSERT INTO ${quoteIdentifier(table)} (${columnList(columns, { allowStar: false, allowAlias: false })}) VALUES ${valuesSql}`;
     const values = timestampedArray.flatMap(obj => Object.values(obj));
     
     const result = await this.query(sql, values);
@@ -400,11 +986,12 @@ class MySQLHelper extends EventEmitter {
     
     const fieldsToUpdate = updateFields.length > 0 ? updateFields : columns.filter(col => col !== this.createdAtColumn);
     const updateClause = fieldsToUpdate
+      .map(field => quoteIdentifier(field))
       .map(field => `${field} = VALUES(${field})`)
       .join(', ');
     
     const sql = `
-      INSERT INTO ${table} (${columns.join(', ')}) 
+      INSERT INTO ${quoteIdentifier(table)} (${columnList(columns, { allowStar: false, allowAlias: false })}) 
       VALUES (${placeholders})
       ON DUPLICATE KEY UPDATE ${updateClause}
     `;
@@ -422,11 +1009,11 @@ class MySQLHelper extends EventEmitter {
     
     await this._runHooks('beforeUpdate', { table, data: timestampedData, where });
     
-    const setClause = Object.keys(timestampedData).map(key => `${key} = ?`).join(', ');
-    const whereClause = Object.keys(where).map(key => `${key} = ?`).join(' AND ');
+    const setClause = Object.keys(timestampedData).map(key => `${quoteIdentifier(key)} = ?`).join(', ');
+    const params = Object.values(timestampedData);
+    const whereClause = this._whereClause(where, params, { required: 'update' });
     
-    const sql = `UPDATE ${table} SET ${setClause} WHERE ${whereClause}`;
-    const params = [...Object.values(timestampedData), ...Object.values(where)];
+    const sql = `UPDATE ${quoteIdentifier(table)} SET ${setClause}${whereClause}`;
     
     const result = await this.query(sql, params);
     
@@ -441,9 +1028,9 @@ class MySQLHelper extends EventEmitter {
   }
 
   async delete(table, where) {
-    const whereClause = Object.keys(where).map(key => `${key} = ?`).join(' AND ');
-    const sql = `DELETE FROM ${table} WHERE ${whereClause}`;
-    const params = Object.values(where);
+    const params = [];
+    const whereClause = this._whereClause(where, params, { required: 'delete' });
+    const sql = `DELETE FROM ${quoteIdentifier(table)}${whereClause}`;
     
     const result = await this.query(sql, params);
     
@@ -480,7 +1067,8 @@ class MySQLHelper extends EventEmitter {
       perPage = 10,
       where = {},
       orderBy = 'id DESC',
-      columns = '*'
+      columns = '*',
+      allowedColumns
     } = options;
 
     const offset = (page - 1) * perPage;
@@ -492,7 +1080,8 @@ class MySQLHelper extends EventEmitter {
       where,
       orderBy,
       limit: perPage,
-      offset
+      offset,
+      allowedColumns
     });
 
     return {
@@ -508,36 +1097,211 @@ class MySQLHelper extends EventEmitter {
     };
   }
 
+  /**
+   * Keyset pagination; see QueryBuilder#cursorPaginate for the options
+   */
+  async cursorPaginate(table, options = {}) {
+    const { where = {}, columns = '*', ...cursorOptions } = options;
+    const query = this.queryBuilder().table(table).where(where);
+    const columnNames = typeof columns === 'string' ? columns.split(',') : columns;
+    query.select(...columnNames);
+    return await query.cursorPaginate(cursorOptions);
+  }
+
   // ============================================
   // TRANSACTIONS
   // ============================================
 
-  async beginTransaction() {
-    const conn = await (this.pool ? this.pool.getConnection() : this.connect());
-    await conn.beginTransaction();
-    this.emit('transactionStarted', { threadId: conn.threadId });
+  async beginTransaction(options = {}) {
+    const { isolationLevel = null, readOnly = false } = options;
+    const level = isolationLevel ? this._isolationLevel(isolationLevel) : null;
+
+    // A connection-scoped helper starts the transaction on its own connection
+    const conn = this._conn || await (this.pool ? this.pool.getConnection() : this.connect());
+    try {
+      if (level) {
+        // Applies to the next transaction started on this connection only
+        await conn.query(`SET TRANSACTION ISOLATION LEVEL ${level}`);
+      }
+      if (readOnly) {
+        await conn.query('START TRANSACTION READ ONLY');
+      } else {
+        await conn.beginTransaction();
+      }
+    } catch (error) {
+      if (this.pool && conn !== this._conn) {
+        conn.release();
+      }
+      throw error;
+    }
+
+    this.emit('transactionStarted', { threadId: conn.threadId, depth: 1, isolationLevel: level, readOnly });
     return conn;
   }
 
-  async transaction(callback) {
-    const conn = await this.beginTransaction();
+  _isolationLevel(isolationLevel) {
+    const level = String(isolationLevel).trim().replace(/[_\s]+/g, ' ').toUpperCase();
+    if (!ISOLATION_LEVELS.includes(level)) {
+      throw new Error(`Invalid isolation level "${isolationLevel}": expected one of ${ISOLATION_LEVELS.join(', ')}`);
+    }
+    return level;
+  }
+
+  /**
+   * Run `callback(trx)` in a transaction. `trx` is a helper bound to the
+   * transaction's connection, so the full API (insert, update, queryBuilder,
+   * hooks, timestamps) runs inside the transaction.
+   *
+   * Options (top-level transactions only; savepoints inherit the outer one):
+   * - retries: re-run the callback this many times on deadlock / lock wait timeout
+   * - backoff: base delay in ms (doubled per attempt, with jitter) or attempt => ms
+   * - isolationLevel: 'READ COMMITTED', 'SERIALIZABLE', ...
+   * - readOnly: START TRANSACTION READ ONLY
+   */
+  async transaction(callback, options = {}) {
+    const active = this.inTransaction ? this : this._activeTransaction();
+    if (active) {
+      return await active._savepoint(callback);
+    }
+
+    const { retries = 0, backoff = 100 } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._runTransaction(callback, options);
+      } catch (error) {
+        const cause = this._retryableTransactionError(error);
+        if (!cause || attempt > retries) {
+          throw error;
+        }
+
+        const delay = typeof backoff === 'function'
+          ? backoff(attempt)
+          : Math.round(backoff * 2 ** (attempt - 1) * (0.5 + Math.random() / 2));
+
+        this.emit('transactionRetry', { attempt, retries, delay, code: cause.code, error: cause.message });
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Find a deadlock / lock wait timeout error in the error's cause chain
+   */
+  _retryableTransactionError(error) {
+    for (let current = error; current; current = current.cause) {
+      if (RETRYABLE_TRANSACTION_ERRORS.includes(current.code) || RETRYABLE_TRANSACTION_ERRNOS.includes(current.errno)) {
+        return current;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Transaction helper of the enclosing transaction() call, if it runs on
+   * this helper's database (a tenant helper must not join the root's one)
+   */
+  _activeTransaction() {
+    const active = this._transactionContext.getStore();
+    return active && active.pool === this.pool && active.tenantId === this.tenantId ? active : null;
+  }
+
+  async _runTransaction(callback, options) {
+    const conn = await this.beginTransaction(options);
     
     try {
-      const result = await callback(conn);
+      const trx = this._transactionScope(conn, 1);
+      const result = await this._transactionContext.run(trx, () => callback(trx));
       await conn.commit();
-      this.emit('transactionCommitted', { threadId: conn.threadId });
+      this._markWrite();
+      await this._invalidateWritten([...trx._writtenTables]);
+      this.emit('transactionCommitted', { threadId: conn.threadId, depth: 1 });
       return result;
     } catch (error) {
       await conn.rollback();
-      this.emit('transactionRolledBack', { threadId: conn.threadId, error: error.message });
-      throw new Error(`Transaction failed: ${error.message}`);
+      this.emit('transactionRolledBack', { threadId: conn.threadId, depth: 1, error: error.message });
+      const wrapped = new Error(`Transaction failed: ${error.message}`);
+      // Set directly: Node before 16.9 ignores the `cause` option, and the
+      // retry loop finds deadlocks through it
+      wrapped.cause = error;
+      throw wrapped;
     } finally {
-      if (this.pool) {
+      if (this.pool && conn !== this._conn) {
         conn.release();
       }
     }
   }
 
+  /**
+   * Create a helper that shares this instance's configuration, hooks and
+   * listeners but runs every query on `conn`. Reads inside it bypass the cache
+   * so uncommitted rows are never cached.
+   */
+  _transactionScope(conn, depth) {
+    const trx = Object.create(this);
+    trx._conn = conn;
+    trx.inTransaction = true;
+    trx.transactionDepth = depth;
+    trx.conn = conn;
+    // Shared with savepoint scopes, which inherit from the outer helper
+    if (depth === 1) {
+      trx._writtenTables = new Set();
+    }
+    return trx;
+  }
+
+  /**
+   * Helper running every statement on `conn` outside a transaction; its
+   * transaction() starts the transaction on `conn` too. The caller checks
+   * out and releases `conn`.
+   */
+  _connectionScope(conn) {
+    const scoped = Object.create(this);
+    scoped._conn = conn;
+    scoped.conn = conn;
+    return scoped;
+  }
+
+  /**
+   * Run a nested transaction as SAVEPOINT / RELEASE SAVEPOINT on this
+   * transaction's connection, rolling back to the savepoint on error. The
+   * original error is rethrown so the outer transaction decides what to do.
+   */
+  async _savepoint(callback) {
+    const depth = this.transactionDepth + 1;
+    const savepoint = `sp_${depth}`;
+    const threadId = this._conn.threadId;
+
+    await this._conn.query(`SAVEPOINT ${savepoint}`);
+    this.emit('transactionStarted', { threadId, depth, savepoint });
+
+    try {
+      const trx = this._transactionScope(this._conn, depth);
+      const result = await this._transactionContext.run(trx, () => callback(trx));
+      await this._conn.query(`RELEASE SAVEPOINT ${savepoint}`);
+      this.emit('transactionCommitted', { threadId, depth, savepoint });
+      return result;
+    } catch (error) {
+      // A deadlock already rolled back the whole transaction, savepoint included
+      if (!this._retryableTransactionError(error)) {
+        await this._conn.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      }
+      this.emit('transactionRolledBack', { threadId, depth, savepoint, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Raw mysql2 execute() on the transaction connection, for code written
+   * against the connection-based transaction API
+   */
+  async execute(sql, params = []) {
+    if (!this._conn) {
+      throw new Error('execute() is only available on a transaction-scoped helper; use query()');
+    }
+    return await this._conn.execute(sql, params);
+  }
+
   async transactionQuery(conn, sql, params = []) {
     const [rows] = await conn.execute(sql, params);
     return rows;
@@ -549,23 +1313,27 @@ class MySQLHelper extends EventEmitter {
 
   async callProcedure(procedureName, params = []) {
     const placeholders = params.map(() => '?').join(', ');
-    const sql = `CALL ${procedureName}(${placeholders})`;
+    const sql = `CALL ${quoteIdentifier(procedureName)}(${placeholders})`;
     
+    let result;
     try {
-      const result = await this.query(sql, params);
-      this.emit('procedureCalled', { procedureName, params });
-      
-      // MySQL2 returns an array where the last element is metadata
-      // Return all result sets except the last one (metadata)
-      return result.length > 1 ? result.slice(0, -1) : result;
+      result = await this.query(sql, params);
     } catch (error) {
-      throw new Error(`Stored procedure '${procedureName}' failed: ${error.message}`);
+      // Keep the QueryError subclass so callers can still catch e.g. DeadlockError
+      const queryError = classifyError(error, { sql, params });
+      queryError.message = `Stored procedure '${procedureName}' failed: ${queryError.sqlMessage ?? queryError.message}`;
+      throw queryError;
     }
+    this.emit('procedureCalled', { procedureName, params });
+
+    // MySQL2 returns an array where the last element is metadata
+    // Return all result sets except the last one (metadata)
+    return result.length > 1 ? result.slice(0, -1) : result;
   }
 
   async createProcedure(procedureName, params, body) {
     const sql = `
-      CREATE PROCEDURE ${procedureName}(${params})
+      CREATE PROCEDURE ${quoteIdentifier(procedureName)}(${params})
       BEGIN
         ${body}
       END
@@ -576,7 +1344,7 @@ class MySQLHelper extends EventEmitter {
   }
 
   async dropProcedure(procedureName, ifExists = true) {
-    const sql = `DROP PROCEDURE ${ifExists ? 'IF EXISTS' : ''} ${procedureName}`;
+    const sql = `DROP PROCEDURE ${ifExists ? 'IF EXISTS' : ''} ${quoteIdentifier(procedureName)}`;
     await this.query(sql);
     this.emit('procedureDropped', { procedureName });
   }
@@ -587,7 +1355,7 @@ class MySQLHelper extends EventEmitter {
       FROM information_schema.ROUTINES 
       WHERE ROUTINE_SCHEMA = ? AND ROUTINE_NAME = ? AND ROUTINE_TYPE = 'PROCEDURE'
     `;
-    const result = await this.query(sql, [this.config.database, procedureName]);
+    const result = await this.query(sql, [this.config.database, procedureName], { cache: false });
     return result[0].count > 0;
   }
 
@@ -598,7 +1366,7 @@ class MySQLHelper extends EventEmitter {
       WHERE ROUTINE_SCHEMA = ? AND ROUTINE_TYPE = 'PROCEDURE'
       ORDER BY ROUTINE_NAME
     `;
-    return await this.query(sql, [this.config.database]);
+    return await this.query(sql, [this.config.database], { cache: false });
   }
 
   // ============================================
@@ -612,11 +1380,20 @@ class MySQLHelper extends EventEmitter {
       using = ''
     } = options;
 
-    const columnList = Array.isArray(columns) ? columns.join(', ') : columns;
-    const uniqueKeyword = unique ? 'UNIQUE' : '';
-    const typeKeyword = type ? `USING ${type}` : '';
+    const indexType = (type || using).toUpperCase();
+    if (indexType && !INDEX_TYPES.includes(indexType)) {
+      throw new Error(`Invalid index type "${type || using}": expected one of ${INDEX_TYPES.join(', ')}`);
+    }
+
+    // FULLTEXT and SPATIAL are index kinds; BTREE and HASH are storage methods
+    const isKind = indexType === 'FULLTEXT' || indexType === 'SPATIAL';
+    const kindKeyword = isKind ? indexType : (unique ? 'UNIQUE' : '');
+    const typeKeyword = indexType && !isKind ? `USING ${indexType}` : '';
+    const indexColumns = columnList(columns, { allowStar: false, allowAlias: false });
     
-    const sql = `CREATE ${uniqueKeyword} INDEX ${indexName} ON ${table} (${columnList}) ${typeKeyword}`.trim();
+    const sql = `CREATE ${kindKeyword} INDEX ${quoteIdentifier(indexName)} ON ${quoteIdentifier(table)} (${indexColumns}) ${typeKeyword}`
+      .replace(/\s+/g, ' ')
+      .trim();
     
     await this.query(sql);
     this.emit('indexCreated', { table, indexName, columns });
@@ -625,7 +1402,7 @@ class MySQLHelper extends EventEmitter {
   }
 
   async dropIndex(table, indexName) {
-    const sql = `DROP INDEX ${indexName} ON ${table}`;
+    const sql = `DROP INDEX ${quoteIdentifier(indexName)} ON ${quoteIdentifier(table)}`;
     await this.query(sql);
     this.emit('indexDropped', { table, indexName });
   }
@@ -636,7 +1413,7 @@ class MySQLHelper extends EventEmitter {
       FROM information_schema.STATISTICS 
       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?
     `;
-    const result = await this.query(sql, [this.config.database, table, indexName]);
+    const result = await this.query(sql, [this.config.database, table, indexName], { cache: false });
     return result[0].count > 0;
   }
 
@@ -652,7 +1429,7 @@ class MySQLHelper extends EventEmitter {
       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
       ORDER BY INDEX_NAME, SEQ_IN_INDEX
     `;
-    const results = await this.query(sql, [this.config.database, table]);
+    const results = await this.query(sql, [this.config.database, table], { cache: false });
     
     // Group by index name
     const indexes = {};
@@ -672,14 +1449,14 @@ class MySQLHelper extends EventEmitter {
   }
 
   async analyzeTable(table) {
-    const sql = `ANALYZE TABLE ${table}`;
+    const sql = `ANALYZE TABLE ${quoteIdentifier(table)}`;
     const result = await this.query(sql);
     this.emit('tableAnalyzed', { table });
     return result;
   }
 
   async optimizeTable(table) {
-    const sql = `OPTIMIZE TABLE ${table}`;
+    const sql = `OPTIMIZE TABLE ${quoteIdentifier(table)}`;
     const result = await this.query(sql);
     this.emit('tableOptimized', { table });
     return result;
@@ -690,113 +1467,196 @@ class MySQLHelper extends EventEmitter {
   // ============================================
 
   async count(table, where = {}) {
-    const params = [];
-    let sql = `SELECT COUNT(*) as count FROM ${table}`;
-
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    const result = await this.query(sql, params);
-    return result[0].count;
+    return await this._aggregate('COUNT', table, raw('*'), where, 'count');
   }
 
   async sum(table, column, where = {}) {
-    const params = [];
-    let sql = `SELECT SUM(${column}) as total FROM ${table}`;
-
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
-
-    const result = await this.query(sql, params);
-    return result[0].total || 0;
+    const result = await this._aggregate('SUM', table, column, where, 'total');
+    return result || 0;
   }
 
   async avg(table, column, where = {}) {
-    const params = [];
-    let sql = `SELECT AVG(${column}) as average FROM ${table}`;
+    const result = await this._aggregate('AVG', table, column, where, 'average');
+    return result || 0;
+  }
 
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
+  async min(table, column, where = {}) {
+    return await this._aggregate('MIN', table, column, where, 'minimum');
+  }
 
-    const result = await this.query(sql, params);
-    return result[0].average || 0;
+  async max(table, column, where = {}) {
+    return await this._aggregate('MAX', table, column, where, 'maximum');
   }
 
-  async min(table, column, where = {}) {
+  async _aggregate(fn, table, column, where, alias) {
     const params = [];
-    let sql = `SELECT MIN(${column}) as minimum FROM ${table}`;
-
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
-    }
+    let sql = `SELECT ${fn}(${quoteIdentifier(column)}) as ${alias} FROM ${quoteIdentifier(table)}`;
+    sql += this._whereClause(where, params);
 
-    const result = await this.query(sql, params);
-    return result[0].minimum;
+    const result = await this.query(sql, params, { replica: true });
+    return result[0][alias];
   }
 
-  async max(table, column, where = {}) {
-    const params = [];
-    let sql = `SELECT MAX(${column}) as maximum FROM ${table}`;
+  /**
+   * Compile a having option, given as a where object or raw(sql, params),
+   * into " HAVING ..." and append its parameters
+   */
+  _havingClause(having, params, options = {}) {
+    if (typeof having === 'string') {
+      throw new Error('select() having must be a where object or raw(sql, params)');
+    }
+    const compiled = compileWhere(having, { allowlist: options.allowlist });
+    if (!compiled.sql) {
+      return '';
+    }
+    params.push(...compiled.params);
+    return ` HAVING ${compiled.sql}`;
+  }
 
-    if (Object.keys(where).length > 0) {
-      const conditions = Object.keys(where).map(key => {
-        params.push(where[key]);
-        return `${key} = ?`;
-      });
-      sql += ` WHERE ${conditions.join(' AND ')}`;
+  /**
+   * Compile a where object (see compileWhere in sql.mjs) into " WHERE ..."
+   * and append its parameters. `required` names the operation that must not
+   * run without conditions.
+   */
+  _whereClause(where, params, options = {}) {
+    const { allowlist = null, required = null } = options;
+    const compiled = compileWhere(where, { allowlist });
+
+    if (!compiled.sql) {
+      if (required) {
+        throw new Error(`${required}() requires a where condition`);
+      }
+      return '';
     }
 
-    const result = await this.query(sql, params);
-    return result[0].maximum;
+    params.push(...compiled.params);
+    return ` WHERE ${compiled.sql}`;
   }
 
   // ============================================
   // CACHING
   // ============================================
 
-  _getCacheKey(sql, params) {
-    return `${sql}:${JSON.stringify(params)}`;
+  /**
+   * Only reads whose tables are known are cached, since nothing would
+   * invalidate the others
+   */
+  _cacheable(sql, options = {}) {
+    return this.cacheEnabled && options.cache !== false && !this.inTransaction && isReadStatement(sql) &&
+      referencedTables(sql).length > 0;
   }
 
-  _getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() < cached.expiry) {
-      return cached.data;
+  _cacheTag(table) {
+    return `${this._cacheNamespace}${table.toLowerCase()}`;
+  }
+
+  /**
+   * Drop cached results of the tables a write touched, or the whole cache
+   * when they cannot be determined. Inside a transaction the tables are
+   * invalidated again on commit, since reads outside it may have cached the
+   * old rows in the meantime.
+   */
+  async _invalidateWrite(sql) {
+    if (!this.cacheEnabled || isSessionStatement(sql)) {
+      return;
     }
-    if (cached) {
-      this.cache.delete(key);
+    // A procedure may write to any table
+    const tables = /^\s*CALL\b/i.test(sql) ? [] : referencedTables(sql);
+    const written = tables.length > 0 ? tables : [ALL_TABLES];
+    if (this.inTransaction) {
+      written.forEach(table => this._writtenTables.add(table));
     }
-    return null;
+    await this._invalidateWritten(written);
   }
 
-  _setCache(key, data, ttl = this.cacheTTL) {
-    this.cache.set(key, {
-      data,
-      expiry: Date.now() + ttl
-    });
+  /**
+   * Invalidate written tables, clearing the whole cache when they are unknown
+   */
+  async _invalidateWritten(tables) {
+    if (tables.includes(ALL_TABLES)) {
+      await this.clearCache();
+    } else {
+      await this.invalidateTable(tables);
+    }
+  }
+
+  /**
+   * Remove cached results that read from the given table(s)
+   */
+  async invalidateTable(table) {
+    const tables = [table].flat();
+    if (tables.length === 0) {
+      return 0;
+    }
+    let removed = 0;
+    for (const name of tables) {
+      removed += (await this._cacheCall('delByTag', () => this.cache.delByTag(this._cacheTag(name)))) || 0;
+    }
+    this._cacheStats.invalidations += removed;
+    this.emit('cacheInvalidated', { tables, removed });
+    return removed;
+  }
+
+  /**
+   * Hit/miss counters of this helper plus whatever the store reports
+   */
+  getCacheStats() {
+    const { hits, staleHits, misses } = this._cacheStats;
+    const lookups = hits + staleHits + misses;
+    const storeStats = typeof this.cache.stats === 'function' ? this.cache.stats() : {};
+    return { ...this._cacheStats, hitRate: lookups ? (hits + staleHits) / lookups : 0, ...storeStats };
+  }
+
+  /**
+   * Run a store operation; a failing store (e.g. a cache server being down)
+   * must not fail the query, so errors are reported as cacheError instead
+   */
+  async _cacheCall(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      this._cacheStats.errors++;
+      this.emit('cacheError', { operation, error: error.message });
+      return undefined;
+    }
+  }
+
+  _getCacheKey(sql, params, options = {}) {
+    // Tenant databases share the cache, so their identical queries must not collide
+    let namespace = this._cacheNamespace;
+    // Rows nested by table have another shape than the flat ones
+    if (options.nestTables) {
+      namespace += `nest:${options.nestTables}:`;
+    }
+    return `${namespace}${sql}:${JSON.stringify(params)}`;
   }
 
-  clearCache() {
-    this.cache.clear();
+  /**
+   * Cached rows as `{ rows, stale }`, or null on a miss. Entries outlive
+   * their TTL by the stale-while-revalidate window and are stale after it.
+   */
+  async _getFromCache(key) {
+    const cached = await this._cacheCall('get', () => this.cache.get(key));
+    if (!cached || typeof cached !== 'object' || !('freshUntil' in cached)) {
+      this._cacheStats.misses++;
+      return null;
+    }
+    const stale = Date.now() >= cached.freshUntil;
+    this._cacheStats[stale ? 'staleHits' : 'hits']++;
+    return { rows: cached.rows, stale };
+  }
+
+  async _setCache(key, data, options = {}, tables = []) {
+    const ttl = options.cacheTTL ?? this.cacheTTL;
+    const staleFor = options.staleWhileRevalidate ?? this.cacheStaleWhileRevalidate;
+    const tags = tables.map(table => this._cacheTag(table));
+    const entry = { rows: data, freshUntil: Date.now() + ttl };
+    await this._cacheCall('set', () => this.cache.set(key, entry, { ttl: ttl + staleFor, tags }));
+    this._cacheStats.sets++;
+  }
+
+  async clearCache() {
+    await this._cacheCall('clear', () => this.cache.clear());
     this.emit('cacheCleared');
   }
 
@@ -809,15 +1669,30 @@ class MySQLHelper extends EventEmitter {
       return null;
     }
 
-    return {
-      totalConnections: this.pool._allConnections.length,
-      freeConnections: this.pool._freeConnections.length,
-      queuedRequests: this.pool._connectionQueue.length,
+    const status = {
+      ...this._poolStatus(this.pool),
       config: {
         connectionLimit: this.config.connectionLimit,
         queueLimit: this.config.queueLimit
       }
     };
+    if (this.replicaPools.length > 0) {
+      status.replicas = this.replicaPools.map((pool, index) => ({
+        host: this.replicaConfigs[index].host,
+        ...this._poolStatus(pool)
+      }));
+    }
+    return status;
+  }
+
+  _poolStatus(pool) {
+    // mysql2/promise pools wrap the core pool that tracks connections
+    const core = pool.pool || pool;
+    return {
+      totalConnections: core._allConnections.length,
+      freeConnections: core._freeConnections.length,
+      queuedRequests: core._connectionQueue.length
+    };
   }
 
   getQueryLog() {
@@ -838,23 +1713,23 @@ class MySQLHelper extends EventEmitter {
 
   async tableExists(table) {
     const sql = `SHOW TABLES LIKE ?`;
-    const result = await this.query(sql, [table]);
+    const result = await this.query(sql, [table], { cache: false });
     return result.length > 0;
   }
 
   async getTableSchema(table) {
-    const sql = `DESCRIBE ${table}`;
+    const sql = `DESCRIBE ${quoteIdentifier(table)}`;
     return await this.query(sql);
   }
 
   async getTables() {
     const sql = 'SHOW TABLES';
-    const result = await this.query(sql);
+    const result = await this.query(sql, [], { cache: false });
     return result.map(row => Object.values(row)[0]);
   }
 
   async truncate(table) {
-    const sql = `TRUNCATE TABLE ${table}`;
+    const sql = `TRUNCATE TABLE ${quoteIdentifier(table)}`;
     await this.query(sql);
     this.emit('tableTruncated', { table });
   }
@@ -864,21 +1739,55 @@ class MySQLHelper extends EventEmitter {
   }
 
   async close() {
+    if (this.tenantId !== null) {
+      throw new Error('close() must be called on the root helper; tenant pools are shared');
+    }
     if (this.pool) {
       await this.pool.end();
       this.pool = null;
       this.emit('poolClosed');
     }
+    if (this.replicaPools.length > 0) {
+      await Promise.all(this.replicaPools.map(pool => pool.end()));
+      this.replicaPools = [];
+    }
+    if (this.tenantPools.size > 0) {
+      await Promise.all([...this.tenantPools.values()].map(pool => pool.end()));
+      this.tenantPools.clear();
+    }
     if (this.connection) {
       await this.connection.end();
       this.connection = null;
       this.emit('connectionClosed');
     }
-    this.clearCache();
+    // A shared store outlives this process; only the in-memory one is dropped
+    if (this.cache instanceof MemoryCacheStore) {
+      await this.clearCache();
+    }
   }
 }
 
 export default MySQLHelper;
-export { QueryBuilder };
+export {
+  QueryBuilder,
+  Migrator,
+  SchemaBuilder,
+  Factory,
+  Seeder,
+  sequence,
+  generateTypes,
+  Model,
+  ValidationError,
+  raw,
+  MemoryCacheStore,
+  FileCacheStore,
+  jsonSerializer,
+  QueryError,
+  DuplicateEntryError,
+  ForeignKeyError,
+  ConnectionLostError,
+  DeadlockError,
+  QueryTimeoutError
+};
 
  
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Loading of numbered module directories (migrations, seeds)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Import every file of `directory` whose name matches `pattern`, in natural
+ * file name order, as `{ name, module }`; `name` is the file name without
+ * its extension. A missing directory has no modules.
+ */
+async function loadModules(directory, pattern) {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const names = files
+    .filter(file => pattern.test(file))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+  return await Promise.all(names.map(async (file) => ({
+    name: path.basename(file, path.extname(file)),
+    module: await import(pathToFileURL(path.join(directory, file)).href)
+  })));
+}
+
+export { loadModules };
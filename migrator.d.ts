@@ -0,0 +1,3 @@
+import { Migrator } from './index.js';
+
+export default Migrator;
@@ -0,0 +1,210 @@
+import path from 'path';
+import { quoteIdentifier } from './sql.mjs';
+import { loadModules } from './loader.mjs';
+
+// 20240101120000_create_users.mjs: the numeric prefix orders migrations
+const MIGRATION_FILE = /^(\d+)_[\w.-]+\.(?:mjs|js)$/;
+
+/**
+ * Migration runner: applies timestamped modules exporting `up(helper)` and
+ * `down(helper)` from a directory and records them in a tracking table.
+ * A named lock (GET_LOCK) keeps two processes from migrating at once.
+ */
+class Migrator {
+  constructor(db, options = {}) {
+    const {
+      directory = './migrations',
+      table = 'schema_migrations',
+      lockName = null,
+      lockTimeout = 10
+    } = options;
+
+    this.db = db;
+    this.directory = path.resolve(directory);
+    this.table = table;
+    this.lockName = lockName || `${db.config.database}.${table}`;
+    this.lockTimeout = lockTimeout;
+  }
+
+  /**
+   * Apply all pending migrations as one batch; returns their names
+   */
+  async migrate() {
+    return await this._withLock(async (db) => {
+      const migrations = await this._load();
+      const applied = await this._applied(db);
+      const done = new Set(applied.map(row => row.name));
+      const pending = migrations.filter(migration => !done.has(migration.name));
+      if (pending.length === 0) {
+        return [];
+      }
+
+      const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+      for (const migration of pending) {
+        await this._run(db, migration, 'up', batch);
+      }
+      return pending.map(migration => migration.name);
+    });
+  }
+
+  /**
+   * Roll back the last `steps` migrations, or the whole last batch when
+   * `steps` is omitted; returns the names rolled back
+   */
+  async rollback(steps = null) {
+    return await this._withLock(async (db) => {
+      const applied = await this._applied(db);
+      if (applied.length === 0) {
+        return [];
+      }
+
+      let targets;
+      if (steps === null) {
+        const lastBatch = applied[applied.length - 1].batch;
+        targets = applied.filter(row => row.batch === lastBatch);
+      } else {
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid rollback steps "${steps}": expected a positive integer`);
+        }
+        targets = applied.slice(-steps);
+      }
+      return await this._rollbackRows(db, targets);
+    });
+  }
+
+  /**
+   * Roll back every applied migration
+   */
+  async reset() {
+    return await this._withLock(async db => this._rollbackRows(db, await this._applied(db)));
+  }
+
+  /**
+   * Every known migration with whether (and when) it was applied. Applied
+   * migrations whose file is gone are listed with `missing: true`.
+   */
+  async status() {
+    const migrations = await this._load();
+    // Read-only: without the tracking table nothing has been applied yet
+    const rows = await this.db.tableExists(this.table) ? await this._selectApplied(this.db) : [];
+    const applied = new Map(rows.map(row => [row.name, row]));
+
+    const list = migrations.map(({ name }) => {
+      const row = applied.get(name);
+      applied.delete(name);
+      return { name, applied: Boolean(row), batch: row ? row.batch : null, migratedAt: row ? row.migrated_at : null };
+    });
+    for (const row of applied.values()) {
+      list.push({ name: row.name, applied: true, batch: row.batch, migratedAt: row.migrated_at, missing: true });
+    }
+    return list.sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+  }
+
+  async _rollbackRows(db, rows) {
+    const migrations = new Map((await this._load()).map(migration => [migration.name, migration]));
+    const names = [];
+    for (const row of [...rows].reverse()) {
+      const migration = migrations.get(row.name);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.name}: migration file not found in ${this.directory}`);
+      }
+      await this._run(db, migration, 'down', row.batch);
+      names.push(row.name);
+    }
+    return names;
+  }
+
+  /**
+   * Run one direction of a migration and update the tracking table. With
+   * `transaction` (the default) both happen in one transaction, so a failing
+   * data migration leaves nothing behind; DDL statements still commit
+   * implicitly in MySQL.
+   */
+  async _run(db, migration, direction, batch) {
+    const { name, module } = migration;
+    if (typeof module[direction] !== 'function') {
+      throw new Error(`Migration ${name} does not export ${direction}()`);
+    }
+
+    const table = quoteIdentifier(this.table);
+    const apply = async (helper) => {
+      await module[direction](helper);
+      if (direction === 'up') {
+        await helper.query(`INSERT INTO ${table} (name, batch) VALUES (?, ?)`, [name, batch]);
+      } else {
+        await helper.query(`DELETE FROM ${table} WHERE name = ?`, [name]);
+      }
+    };
+
+    const startTime = Date.now();
+    try {
+      if (module.transaction === false) {
+        await apply(db);
+      } else {
+        await db.transaction(trx => apply(trx));
+      }
+    } catch (error) {
+      this.db.emit('migrationFailed', { name, direction, error: error.message });
+      const wrapped = new Error(`Migration ${name} (${direction}) failed: ${error.message}`);
+      wrapped.cause = error;
+      throw wrapped;
+    }
+
+    const event = direction === 'up' ? 'migrationApplied' : 'migrationRolledBack';
+    this.db.emit(event, { name, batch, duration: Date.now() - startTime });
+  }
+
+  async _ensureTable(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ${quoteIdentifier(this.table)} (
+        id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        batch INT UNSIGNED NOT NULL,
+        migrated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async _applied(db) {
+    await this._ensureTable(db);
+    return await this._selectApplied(db);
+  }
+
+  async _selectApplied(db) {
+    return await db.query(
+      `SELECT name, batch, migrated_at FROM ${quoteIdentifier(this.table)} ORDER BY batch, id`,
+      [],
+      { cache: false }
+    );
+  }
+
+  async _load() {
+    return await loadModules(this.directory, MIGRATION_FILE);
+  }
+
+  /**
+   * Hold the named lock on one connection while `callback(helper)` runs.
+   * The helper runs everything, migration transactions included, on that
+   * connection, so migrating needs a single pool connection.
+   */
+  async _withLock(callback) {
+    const conn = await this.db.getConnection();
+    try {
+      const [rows] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [this.lockName, this.lockTimeout]);
+      if (rows[0].acquired !== 1) {
+        throw new Error(`Could not acquire migration lock "${this.lockName}": another migration is running`);
+      }
+      try {
+        return await callback(this.db._connectionScope(conn));
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [this.lockName]);
+      }
+    } finally {
+      if (this.db.pool && conn.release) {
+        conn.release();
+      }
+    }
+  }
+}
+
+export default Migrator;
@@ -0,0 +1,410 @@
+/**
+ * Model layer: classes generated from an attribute schema by
+ * helper.defineModel(), built on findById/insert/update and QueryBuilder
+ */
+
+import { parseEagerLoads, eagerLoad } from './relations.mjs';
+
+const ATTRIBUTE_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'json', 'buffer'];
+
+/**
+ * Thrown by save() before any SQL runs; `errors` maps attribute names to
+ * their messages
+ */
+class ValidationError extends Error {
+  constructor(model, errors) {
+    const details = Object.entries(errors).map(([name, messages]) => `${name} ${messages.join(', ')}`);
+    super(`${model} validation failed: ${details.join('; ')}`);
+    this.name = 'ValidationError';
+    this.model = model;
+    this.errors = errors;
+  }
+}
+
+function _sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+    return a.equals(b);
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function _clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value && typeof value === 'object') return JSON.parse(JSON.stringify(value));
+  return value;
+}
+
+function _typeError(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'date':
+      return value instanceof Date && !Number.isNaN(value.getTime()) ? null : 'must be a valid Date';
+    case 'buffer':
+      return Buffer.isBuffer(value) ? null : 'must be a Buffer';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Base class of every defined model. Attribute values live in `_attributes`;
+ * `_original` holds the values last read from or written to the database,
+ * so save() only sends the columns that changed.
+ */
+class Model {
+  constructor(attributes = {}) {
+    const { attributes: schema } = this.constructor;
+    this._attributes = {};
+    this._original = {};
+    // Loaded relations; kept apart from the attributes so save() ignores them
+    this._relations = {};
+    this.exists = false;
+
+    for (const [name, rule] of Object.entries(schema)) {
+      if (rule.default !== undefined) {
+        this._attributes[name] = typeof rule.default === 'function' ? rule.default() : _clone(rule.default);
+      }
+    }
+    this.fill(attributes);
+  }
+
+  /**
+   * Instance for a row read from the database (not dirty)
+   */
+  static hydrate(row) {
+    const model = Object.create(this.prototype);
+    model._relations = {};
+    model.exists = true;
+    return model._load(row);
+  }
+
+  static _fromDatabase(name, value) {
+    const rule = this.attributes[name];
+    if (!rule || value === null || value === undefined) {
+      return value;
+    }
+    if (rule.type === 'boolean' && typeof value === 'number') {
+      return value !== 0;
+    }
+    // mysql2 already parses JSON columns, so a string is a JSON string
+    // value, unless the connection asked for the raw text with jsonStrings
+    if (rule.type === 'json' && typeof value === 'string' && this.db.config.jsonStrings) {
+      return JSON.parse(value);
+    }
+    return value;
+  }
+
+  static _toDatabase(name, value) {
+    const rule = this.attributes[name];
+    if (rule && rule.type === 'json' && value !== null && value !== undefined) {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  /**
+   * QueryBuilder on the model's table whose get()/first()/paginate() return
+   * model instances
+   */
+  static query() {
+    const query = this.db.queryBuilder().table(this.table);
+    query._hydrate = rows => rows.map(row => this.hydrate(row));
+    return query;
+  }
+
+  static with(...relations) {
+    return this.query().with(...relations);
+  }
+
+  static withRelations(...relations) {
+    return this.query().withRelations(...relations);
+  }
+
+  static where(...args) {
+    return this.query().where(...args);
+  }
+
+  static async all() {
+    return await this.query().get();
+  }
+
+  static async find(id) {
+    const row = await this.db.findById(this.table, id, this.primaryKey);
+    return row ? this.hydrate(row) : null;
+  }
+
+  static async create(attributes = {}) {
+    const model = new this(attributes);
+    await model.save();
+    return model;
+  }
+
+  _defineAccessor(name) {
+    if (!(name in this)) {
+      Object.defineProperty(this, name, {
+        get: () => this._attributes[name],
+        set: (value) => { this._attributes[name] = value; },
+        enumerable: true,
+        configurable: true
+      });
+    }
+  }
+
+  _load(row) {
+    this._attributes = {};
+    for (const [name, value] of Object.entries(row)) {
+      // Copied so changing a JSON attribute cannot reach the row it came
+      // from, which the query cache may still hold
+      this._attributes[name] = _clone(this.constructor._fromDatabase(name, value));
+      this._defineAccessor(name);
+    }
+    this._syncOriginal();
+    return this;
+  }
+
+  _syncOriginal() {
+    this._original = Object.fromEntries(
+      Object.entries(this._attributes).map(([name, value]) => [name, _clone(value)])
+    );
+  }
+
+  /**
+   * Assign several attributes at once
+   */
+  fill(attributes) {
+    for (const [name, value] of Object.entries(attributes)) {
+      this._attributes[name] = value;
+      this._defineAccessor(name);
+    }
+    return this;
+  }
+
+  setRelation(name, value) {
+    this._relations[name] = value;
+    if (!(name in this)) {
+      Object.defineProperty(this, name, {
+        get: () => this._relations[name],
+        enumerable: true,
+        configurable: true
+      });
+    }
+    return this;
+  }
+
+  getRelation(name) {
+    return this._relations[name];
+  }
+
+  /**
+   * Eager load relations onto this model (see QueryBuilder#with)
+   */
+  async load(...relations) {
+    const { db, table } = this.constructor;
+    await eagerLoad(db, table, [this], parseEagerLoads(relations));
+    return this;
+  }
+
+  getKey() {
+    return this._attributes[this.constructor.primaryKey];
+  }
+
+  /**
+   * Attributes changed since the model was loaded or last saved
+   */
+  getDirty() {
+    const dirty = {};
+    for (const [name, value] of Object.entries(this._attributes)) {
+      if (!(name in this._original) || !_sameValue(value, this._original[name])) {
+        dirty[name] = value;
+      }
+    }
+    return dirty;
+  }
+
+  isDirty(name = null) {
+    const dirty = this.getDirty();
+    return name === null ? Object.keys(dirty).length > 0 : name in dirty;
+  }
+
+  /**
+   * Check the attributes against the schema; returns { name: [messages] }.
+   * Saved models only check the attributes that changed.
+   */
+  validate() {
+    const { attributes: schema } = this.constructor;
+    const dirty = this.exists ? this.getDirty() : null;
+    const errors = {};
+    const add = (name, message) => {
+      (errors[name] = errors[name] || []).push(message);
+    };
+
+    for (const [name, rule] of Object.entries(schema)) {
+      if (dirty && !(name in dirty)) {
+        continue;
+      }
+      const value = this._attributes[name];
+
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          add(name, 'is required');
+        }
+        continue;
+      }
+
+      const typeError = _typeError(rule.type, value);
+      if (typeError) {
+        add(name, typeError);
+        continue;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        add(name, `must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        add(name, `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        add(name, `must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        add(name, `must be at most ${rule.max}`);
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        add(name, `must be one of ${rule.enum.join(', ')}`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        add(name, 'has an invalid format');
+      }
+      if (rule.validate) {
+        const result = rule.validate(value, this);
+        if (typeof result === 'string') {
+          add(name, result);
+        } else if (result === false) {
+          add(name, 'is invalid');
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Validate, then INSERT a new model or UPDATE only its changed columns.
+   * Resolves to false when there was nothing to update.
+   */
+  async save() {
+    const model = this.constructor;
+    const errors = this.validate();
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(model.modelName, errors);
+    }
+
+    const { db, table, primaryKey } = model;
+    const changes = this.exists ? this.getDirty() : { ...this._attributes };
+    if (this.exists && Object.keys(changes).length === 0) {
+      return false;
+    }
+
+    // Timestamps are added here rather than by insert()/update() so the
+    // model sees the values that were written
+    const data = db._addTimestamps(changes, this.exists);
+    const row = Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => [name, model._toDatabase(name, value)])
+    );
+
+    if (this.exists) {
+      // The stored key, in case the primary key itself was changed
+      await db.update(table, row, { [primaryKey]: this._original[primaryKey] }, { skipTimestamps: true });
+    } else {
+      const result = await db.insert(table, row, { skipTimestamps: true });
+      if (this.getKey() === undefined || this.getKey() === null) {
+        data[primaryKey] = result.insertId;
+      }
+      this.exists = true;
+    }
+
+    this.fill(data);
+    this._syncOriginal();
+    return true;
+  }
+
+  async delete() {
+    const { db, table, primaryKey } = this.constructor;
+    if (!this.exists) {
+      throw new Error(`Cannot delete a ${this.constructor.modelName} that has not been saved`);
+    }
+    await db.delete(table, { [primaryKey]: this._original[primaryKey] });
+    this.exists = false;
+  }
+
+  /**
+   * Reload the attributes from the database, discarding unsaved changes
+   */
+  async refresh() {
+    const { db, table, primaryKey, modelName } = this.constructor;
+    const row = await db.findById(table, this.getKey(), primaryKey);
+    if (!row) {
+      throw new Error(`${modelName} ${this.getKey()} no longer exists`);
+    }
+    return this._load(row);
+  }
+
+  toJSON() {
+    return { ...this._attributes, ...this._relations };
+  }
+}
+
+/**
+ * Create the model class `name` for `definition` ({ table, primaryKey,
+ * attributes, relations }); relations are registered for the table. An
+ * attribute rule takes type, required, default, minLength/maxLength,
+ * min/max, enum, pattern and validate(value, model).
+ */
+function defineModel(db, name, definition = {}) {
+  const { table, primaryKey = 'id', attributes = {} } = definition;
+  if (!table) {
+    throw new Error(`Model ${name} requires a table`);
+  }
+  for (const [attribute, rule] of Object.entries(attributes)) {
+    if (attribute in Model.prototype) {
+      throw new Error(`Attribute ${name}.${attribute} would shadow the model method of the same name`);
+    }
+    if (rule.type && !ATTRIBUTE_TYPES.includes(rule.type)) {
+      throw new Error(`Invalid type "${rule.type}" for ${name}.${attribute}. Allowed: ${ATTRIBUTE_TYPES.join(', ')}`);
+    }
+  }
+
+  // Named class so stack traces and console output show the model name
+  const ModelClass = { [name]: class extends Model {} }[name];
+  Object.assign(ModelClass, { db, modelName: name, table, primaryKey, attributes });
+
+  for (const attribute of new Set([primaryKey, ...Object.keys(attributes)])) {
+    Object.defineProperty(ModelClass.prototype, attribute, {
+      get() {
+        return this._attributes[attribute];
+      },
+      set(value) {
+        this._attributes[attribute] = value;
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+  return ModelClass;
+}
+
+export { Model, ValidationError, defineModel };
@@ -0,0 +1,3 @@
+import { QueryBuilder } from './index.js';
+
+export default QueryBuilder;
@@ -1,3 +1,159 @@
+import {
+  raw,
+  isRaw,
+  isSubquery,
+  subquerySql,
+  compileWhere,
+  quoteIdentifier,
+  columnList,
+  orderByList,
+  functionCall,
+  sortDirection,
+  comparisonOperator,
+  nonNegativeInteger
+} from './sql.mjs';
+import { parseEagerLoads, eagerLoad } from './relations.mjs';
+
+// --------------------------------------------
+// Cursor helpers for keyset pagination
+// --------------------------------------------
+
+/**
+ * Encode boundary row values as an opaque URL-safe cursor; Dates and
+ * Buffers are tagged so they round-trip with their type
+ */
+function encodeCursor(values) {
+  const tagged = values.map(value => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') };
+    return value;
+  });
+  return Buffer.from(JSON.stringify(tagged)).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid pagination cursor');
+  }
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new Error('Invalid pagination cursor');
+  }
+  return values.map(value => {
+    if (value && typeof value === 'object' && '$date' in value) return new Date(value.$date);
+    if (value && typeof value === 'object' && '$buffer' in value) return Buffer.from(value.$buffer, 'base64');
+    return value;
+  });
+}
+
+function _parseCursorOrder(orderBy) {
+  const items = typeof orderBy === 'string' ? orderBy.split(',') : orderBy;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('cursorPaginate() requires at least one orderBy column');
+  }
+  return items.map(item => {
+    const [column, direction = 'ASC'] = Array.isArray(item) ? item : item.trim().split(/\s+/);
+    return {
+      column,
+      direction: sortDirection(direction),
+      // Rows come back keyed by the bare column name
+      key: column.split('.').pop().replace(/`/g, '')
+    };
+  });
+}
+
+function _cursorValue(row, key) {
+  if (!(key in row)) {
+    throw new Error(`Cursor column "${key}" is missing from the selected columns`);
+  }
+  if (row[key] === null) {
+    throw new Error(`Cursor column "${key}" is NULL; keyset pagination needs non-null sort columns`);
+  }
+  return row[key];
+}
+
+// --------------------------------------------
+// Nesting helpers for JOIN results
+// --------------------------------------------
+
+/**
+ * Parse a nest() shape: 'table.*' for one object, ['table.*'] for an array
+ * and ['table.*', shape] for an array whose items get nested keys of their own
+ */
+function _parseNestShape(shape) {
+  if (!shape || typeof shape !== 'object' || Array.isArray(shape)) {
+    throw new Error("nest() expects a shape such as { order: 'orders.*', items: ['order_items.*'] }");
+  }
+  return Object.entries(shape).map(([name, spec]) => {
+    const many = Array.isArray(spec);
+    const [source, children = null] = many ? spec : [spec];
+    if (typeof source !== 'string') {
+      throw new Error(`nest() entry "${name}" must name a table, e.g. 'orders.*'`);
+    }
+    return {
+      name,
+      table: source.replace(/\.\*$/, ''),
+      many,
+      children: children ? _parseNestShape(children) : null
+    };
+  });
+}
+
+function _nestRecord(row, table) {
+  if (!(table in row)) {
+    throw new Error(`nest(): "${table}" is not in the result; use the alias for aliased tables`);
+  }
+  const record = row[table];
+  // A LEFT JOIN without a match yields a record of NULLs
+  return Object.values(record).every(value => value === null) ? null : record;
+}
+
+/**
+ * Distinct records of `table` with the rows they appear in, by primary key
+ * (or by all their values when the table has no such column)
+ */
+function _nestGroups(rows, table, keys) {
+  const key = keys[table] || 'id';
+  const groups = new Map();
+  for (const row of rows) {
+    const record = _nestRecord(row, table);
+    if (!record) {
+      continue;
+    }
+    const value = key in record ? record[key] : Object.values(record);
+    const identity = Buffer.isBuffer(value) ? value.toString('hex') : JSON.stringify(value);
+    if (!groups.has(identity)) {
+      groups.set(identity, { record: { ...record }, rows: [] });
+    }
+    groups.get(identity).rows.push(row);
+  }
+  return [...groups.values()];
+}
+
+function _nestInto(target, rows, entries, keys) {
+  for (const { name, table, many, children } of entries) {
+    if (many) {
+      target[name] = _nestGroups(rows, table, keys)
+        .map(({ record, rows: group }) => (children ? _nestInto(record, group, children, keys) : record));
+    } else {
+      const record = _nestRecord(rows[0], table);
+      target[name] = record ? { ...record } : null;
+    }
+  }
+  return target;
+}
+
+/**
+ * Build one object per distinct record of the shape's first single entry
+ * from rows returned with nestTables
+ */
+function _nestRows(rows, entries, keys) {
+  const root = entries.find(entry => !entry.many);
+  return _nestGroups(rows, root.table, keys).map(({ rows: group }) => _nestInto({}, group, entries, keys));
+}
+
 /**
  * QueryBuilder class for building complex SQL queries with fluent API
  */
@@ -9,125 +165,434 @@ class QueryBuilder {
 
   reset() {
     this._table = '';
+    this._tableName = '';
+    this._tableParams = [];
     this._columns = ['*'];
+    this._columnParams = [];
     this._where = [];
-    this._whereParams = [];
     this._joins = [];
     this._orderBy = [];
     this._groupBy = [];
-    this._having = '';
+    this._having = [];
     this._limit = null;
     this._offset = null;
+    this._unions = [];
+    this._ctes = [];
+    // Relations to eager load after get() (see with())
+    this._eager = new Map();
+    // Shape for hydrating JOIN results (see nest())
+    this._nest = null;
+    this._allowedColumns = this._allowedColumns || null;
+    // Maps the rows returned by get(); set by Model.query()
+    this._hydrate = this._hydrate || null;
+    return this;
+  }
+
+  /**
+   * Run this builder's reads on the primary instead of a read replica
+   */
+  onPrimary() {
+    this.db = this.db.onPrimary();
     return this;
   }
 
+  /**
+   * Restrict column identifiers accepted by later calls to the given names
+   */
+  allowColumns(...columns) {
+    this._allowedColumns = columns.flat();
+    return this;
+  }
+
+  _column(column, options = {}) {
+    return quoteIdentifier(column, { allowlist: this._allowedColumns, ...options });
+  }
+
   table(table) {
-    this._table = table;
+    this._table = quoteIdentifier(table, { allowAlias: true });
+    this._tableName = table;
+    this._tableParams = [];
+    return this;
+  }
+
+  /**
+   * Select from a derived table: FROM (subquery) AS alias
+   */
+  fromSub(query, alias) {
+    this._tableParams = [];
+    this._table = `${this._subquery(query, this._tableParams)} AS ${quoteIdentifier(alias)}`;
+    this._tableName = alias;
     return this;
   }
 
+  /**
+   * Compile a QueryBuilder (or a closure receiving a fresh one) into a
+   * parenthesized subquery, appending its parameters to `params`
+   */
+  _subquery(query, params) {
+    if (typeof query === 'function') {
+      const nested = new QueryBuilder(this.db);
+      query(nested);
+      query = nested;
+    }
+    if (!isSubquery(query)) {
+      throw new Error('Expected a QueryBuilder instance or a callback for the subquery');
+    }
+    return subquerySql(query, params);
+  }
+
   select(...columns) {
-    this._columns = columns.length > 0 ? columns : ['*'];
+    this._columnParams = [];
+    this._columns = columns.length > 0
+      ? columns.map(column => this._column(column, { allowStar: true, allowAlias: true, params: this._columnParams }))
+      : ['*'];
     return this;
   }
 
-  where(column, operator, value) {
-    if (arguments.length === 2) {
-      value = operator;
-      operator = '=';
+  /**
+   * Add a window function to the select list, e.g.
+   * selectWindow('ROW_NUMBER()', { partitionBy: 'user_id', orderBy: 'created_at DESC' }, 'rn')
+   *
+   * `frame` accepts a ROWS/RANGE clause such as
+   * 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'.
+   */
+  selectWindow(fn, window = {}, alias) {
+    const { partitionBy, orderBy, frame } = window;
+    const parts = [];
+
+    if (partitionBy) {
+      parts.push(`PARTITION BY ${columnList(partitionBy, { allowStar: false, allowAlias: false, allowlist: this._allowedColumns })}`);
+    }
+    if (orderBy) {
+      parts.push(`ORDER BY ${orderByList(orderBy, { allowlist: this._allowedColumns, params: this._columnParams })}`);
+    }
+    if (frame) {
+      if (!/^(ROWS|RANGE)\s+[A-Z0-9 ]+$/i.test(frame)) {
+        throw new Error(`Invalid window frame "${frame}"`);
+      }
+      parts.push(frame.toUpperCase());
+    }
+
+    const expression = `${functionCall(fn, { params: this._columnParams })} OVER (${parts.join(' ')})`;
+    return this._appendColumn(alias ? `${expression} AS ${quoteIdentifier(alias)}` : expression);
+  }
+
+  _appendColumn(sql) {
+    if (this._columns.length === 1 && this._columns[0] === '*') {
+      this._columns = [];
     }
-    this._where.push(`${column} ${operator} ?`);
-    this._whereParams.push(value);
+    this._columns.push(sql);
     return this;
   }
 
-  whereIn(column, values) {
-    const placeholders = values.map(() => '?').join(', ');
-    this._where.push(`${column} IN (${placeholders})`);
-    this._whereParams.push(...values);
+  /**
+   * Add a scalar subquery to the select list: (subquery) AS alias
+   */
+  selectSub(query, alias) {
+    return this._appendColumn(`${this._subquery(query, this._columnParams)} AS ${quoteIdentifier(alias)}`);
+  }
+
+  // --------------------------------------------
+  // WHERE conditions
+  //
+  // Each condition is stored as { boolean, sql, params } and compiled in
+  // insertion order, so parameters always line up with their placeholders.
+  // --------------------------------------------
+
+  _addWhere(boolean, sql, params = []) {
+    if (sql) {
+      this._where.push({ boolean, sql, params });
+    }
     return this;
   }
 
-  whereNotIn(column, values) {
+  /**
+   * Compile a closure into a parenthesized group of WHERE (or HAVING) conditions
+   */
+  _whereGroup(callback, clause = '_where') {
+    const nested = new QueryBuilder(this.db);
+    nested._allowedColumns = this._allowedColumns;
+    callback(nested);
+    const { sql, params } = nested._compileConditions(nested[clause]);
+    return { sql: sql ? `(${sql})` : '', params };
+  }
+
+  /**
+   * Normalize the (column, operator, value), (column, value), (closure) and
+   * (object) call forms into a compiled condition
+   */
+  _basicCondition(args) {
+    const [column, operator, value] = args;
+
+    if (typeof column === 'function') {
+      return this._whereGroup(column);
+    }
+
+    if (column !== null && typeof column === 'object' && !isRaw(column)) {
+      const { sql, params } = compileWhere(column, { allowlist: this._allowedColumns });
+      return { sql: sql ? `(${sql})` : '', params };
+    }
+
+    if (args.length === 2) {
+      return this._comparison(column, '=', operator);
+    }
+    return this._comparison(column, operator, value);
+  }
+
+  _comparison(column, operator, value) {
+    const normalized = comparisonOperator(operator);
+    if (isSubquery(value) || typeof value === 'function') {
+      const params = [];
+      return { sql: `${this._column(column)} ${normalized} ${this._subquery(value, params)}`, params };
+    }
+    if (value === null && (normalized === '=' || normalized === '!=' || normalized === '<>')) {
+      return { sql: `${this._column(column)} ${normalized === '=' ? 'IS NULL' : 'IS NOT NULL'}`, params: [] };
+    }
+    return { sql: `${this._column(column)} ${normalized} ?`, params: [value] };
+  }
+
+  _in(column, values, not) {
+    if (isSubquery(values) || typeof values === 'function') {
+      const params = [];
+      return { sql: `${this._column(column)} ${not ? 'NOT IN' : 'IN'} ${this._subquery(values, params)}`, params };
+    }
+    if (!Array.isArray(values)) {
+      throw new Error(`${not ? 'whereNotIn' : 'whereIn'}() on ${column} expects an array, a subquery or a callback`);
+    }
+    // An empty IN list matches nothing; an empty NOT IN list matches everything
+    if (values.length === 0) {
+      return { sql: not ? '1 = 1' : '1 = 0', params: [] };
+    }
     const placeholders = values.map(() => '?').join(', ');
-    this._where.push(`${column} NOT IN (${placeholders})`);
-    this._whereParams.push(...values);
-    return this;
+    return { sql: `${this._column(column)} ${not ? 'NOT IN' : 'IN'} (${placeholders})`, params: values };
+  }
+
+  _between(column, min, max, not) {
+    return { sql: `${this._column(column)} ${not ? 'NOT BETWEEN' : 'BETWEEN'} ? AND ?`, params: [min, max] };
+  }
+
+  _null(column, not) {
+    return { sql: `${this._column(column)} ${not ? 'IS NOT NULL' : 'IS NULL'}`, params: [] };
+  }
+
+  _like(column, pattern, not) {
+    return { sql: `${this._column(column)} ${not ? 'NOT LIKE' : 'LIKE'} ?`, params: [pattern] };
+  }
+
+  _exists(query, not) {
+    const params = [];
+    return { sql: `${not ? 'NOT EXISTS' : 'EXISTS'} ${this._subquery(query, params)}`, params };
+  }
+
+  _negate({ sql, params }) {
+    return { sql: sql ? `NOT ${sql.startsWith('(') ? sql : `(${sql})`}` : '', params };
+  }
+
+  where(...args) {
+    const { sql, params } = this._basicCondition(args);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhere(...args) {
+    const { sql, params } = this._basicCondition(args);
+    return this._addWhere('OR', sql, params);
+  }
+
+  whereNot(...args) {
+    const { sql, params } = this._negate(this._basicCondition(args));
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNot(...args) {
+    const { sql, params } = this._negate(this._basicCondition(args));
+    return this._addWhere('OR', sql, params);
+  }
+
+  whereIn(column, values) {
+    const { sql, params } = this._in(column, values, false);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereIn(column, values) {
+    const { sql, params } = this._in(column, values, false);
+    return this._addWhere('OR', sql, params);
+  }
+
+  whereNotIn(column, values) {
+    const { sql, params } = this._in(column, values, true);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNotIn(column, values) {
+    const { sql, params } = this._in(column, values, true);
+    return this._addWhere('OR', sql, params);
   }
 
   whereBetween(column, min, max) {
-    this._where.push(`${column} BETWEEN ? AND ?`);
-    this._whereParams.push(min, max);
-    return this;
+    const { sql, params } = this._between(column, min, max, false);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereBetween(column, min, max) {
+    const { sql, params } = this._between(column, min, max, false);
+    return this._addWhere('OR', sql, params);
   }
 
   whereNotBetween(column, min, max) {
-    this._where.push(`${column} NOT BETWEEN ? AND ?`);
-    this._whereParams.push(min, max);
-    return this;
+    const { sql, params } = this._between(column, min, max, true);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNotBetween(column, min, max) {
+    const { sql, params } = this._between(column, min, max, true);
+    return this._addWhere('OR', sql, params);
   }
 
   whereNull(column) {
-    this._where.push(`${column} IS NULL`);
-    return this;
+    const { sql, params } = this._null(column, false);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNull(column) {
+    const { sql, params } = this._null(column, false);
+    return this._addWhere('OR', sql, params);
   }
 
   whereNotNull(column) {
-    this._where.push(`${column} IS NOT NULL`);
-    return this;
+    const { sql, params } = this._null(column, true);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNotNull(column) {
+    const { sql, params } = this._null(column, true);
+    return this._addWhere('OR', sql, params);
   }
 
   whereLike(column, pattern) {
-    this._where.push(`${column} LIKE ?`);
-    this._whereParams.push(pattern);
-    return this;
+    const { sql, params } = this._like(column, pattern, false);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereLike(column, pattern) {
+    const { sql, params } = this._like(column, pattern, false);
+    return this._addWhere('OR', sql, params);
   }
 
   whereNotLike(column, pattern) {
-    this._where.push(`${column} NOT LIKE ?`);
-    this._whereParams.push(pattern);
-    return this;
+    const { sql, params } = this._like(column, pattern, true);
+    return this._addWhere('AND', sql, params);
   }
 
-  orWhere(column, operator, value) {
-    if (arguments.length === 2) {
-      value = operator;
-      operator = '=';
-    }
-    const prefix = this._where.length > 0 ? 'OR' : '';
-    this._where.push(`${prefix} ${column} ${operator} ?`);
-    this._whereParams.push(value);
-    return this;
+  orWhereNotLike(column, pattern) {
+    const { sql, params } = this._like(column, pattern, true);
+    return this._addWhere('OR', sql, params);
+  }
+
+  /**
+   * Compare two columns, e.g. for correlated subqueries
+   */
+  whereColumn(column1, operator, column2) {
+    const sql = `${this._column(column1)} ${comparisonOperator(operator)} ${quoteIdentifier(column2)}`;
+    return this._addWhere('AND', sql);
+  }
+
+  orWhereColumn(column1, operator, column2) {
+    const sql = `${this._column(column1)} ${comparisonOperator(operator)} ${quoteIdentifier(column2)}`;
+    return this._addWhere('OR', sql);
+  }
+
+  whereExists(query) {
+    const { sql, params } = this._exists(query, false);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereExists(query) {
+    const { sql, params } = this._exists(query, false);
+    return this._addWhere('OR', sql, params);
+  }
+
+  whereNotExists(query) {
+    const { sql, params } = this._exists(query, true);
+    return this._addWhere('AND', sql, params);
+  }
+
+  orWhereNotExists(query) {
+    const { sql, params } = this._exists(query, true);
+    return this._addWhere('OR', sql, params);
   }
 
   whereRaw(condition, params = []) {
-    this._where.push(condition);
-    this._whereParams.push(...params);
-    return this;
+    return this._addWhere('AND', `(${condition})`, params);
+  }
+
+  orWhereRaw(condition, params = []) {
+    return this._addWhere('OR', `(${condition})`, params);
+  }
+
+  _compileWhere() {
+    return this._compileConditions(this._where);
+  }
+
+  /**
+   * Compile accumulated conditions; the first condition's boolean is dropped
+   */
+  _compileConditions(conditions) {
+    const params = [];
+    const sql = conditions
+      .map((condition, i) => {
+        params.push(...condition.params);
+        return i === 0 ? condition.sql : `${condition.boolean} ${condition.sql}`;
+      })
+      .join(' ');
+    return { sql, params };
   }
 
   join(table, column1, operator, column2) {
-    this._joins.push(`INNER JOIN ${table} ON ${column1} ${operator} ${column2}`);
-    return this;
+    return this._addJoin('INNER JOIN', quoteIdentifier(table, { allowAlias: true }), [], column1, operator, column2);
   }
 
   leftJoin(table, column1, operator, column2) {
-    this._joins.push(`LEFT JOIN ${table} ON ${column1} ${operator} ${column2}`);
-    return this;
+    return this._addJoin('LEFT JOIN', quoteIdentifier(table, { allowAlias: true }), [], column1, operator, column2);
   }
 
   rightJoin(table, column1, operator, column2) {
-    this._joins.push(`RIGHT JOIN ${table} ON ${column1} ${operator} ${column2}`);
+    return this._addJoin('RIGHT JOIN', quoteIdentifier(table, { allowAlias: true }), [], column1, operator, column2);
+  }
+
+  /**
+   * Join a derived table: INNER JOIN (subquery) AS alias ON ...
+   */
+  joinSub(query, alias, column1, operator, column2) {
+    return this._addJoinSub('INNER JOIN', query, alias, column1, operator, column2);
+  }
+
+  leftJoinSub(query, alias, column1, operator, column2) {
+    return this._addJoinSub('LEFT JOIN', query, alias, column1, operator, column2);
+  }
+
+  rightJoinSub(query, alias, column1, operator, column2) {
+    return this._addJoinSub('RIGHT JOIN', query, alias, column1, operator, column2);
+  }
+
+  _addJoinSub(type, query, alias, column1, operator, column2) {
+    const params = [];
+    const table = `${this._subquery(query, params)} AS ${quoteIdentifier(alias)}`;
+    return this._addJoin(type, table, params, column1, operator, column2);
+  }
+
+  _addJoin(type, table, params, column1, operator, column2) {
+    const on = `${quoteIdentifier(column1)} ${comparisonOperator(operator)} ${quoteIdentifier(column2)}`;
+    this._joins.push({ sql: `${type} ${table} ON ${on}`, params });
     return this;
   }
 
   crossJoin(table) {
-    this._joins.push(`CROSS JOIN ${table}`);
+    this._joins.push({ sql: `CROSS JOIN ${quoteIdentifier(table, { allowAlias: true })}`, params: [] });
     return this;
   }
 
   orderBy(column, direction = 'ASC') {
-    this._orderBy.push(`${column} ${direction.toUpperCase()}`);
+    this._orderBy.push(`${this._column(column)} ${sortDirection(direction)}`);
     return this;
   }
 
@@ -137,47 +602,238 @@ class QueryBuilder {
   }
 
   groupBy(...columns) {
-    this._groupBy.push(...columns);
+    this._groupBy.push(...columns.map(column => this._column(column)));
     return this;
   }
 
-  having(condition) {
-    this._having = condition;
+  // --------------------------------------------
+  // HAVING conditions (same { boolean, sql, params } shape as WHERE)
+  // --------------------------------------------
+
+  _addHaving(boolean, { sql, params }) {
+    if (sql) {
+      this._having.push({ boolean, sql, params });
+    }
     return this;
   }
 
+  /**
+   * Normalize having(column, operator, value), having(column, value),
+   * having(closure), having(object) and having(raw()) into a condition
+   */
+  _havingCondition(args) {
+    const [column] = args;
+
+    if (typeof column === 'function') {
+      return this._whereGroup(column, '_having');
+    }
+
+    if (args.length === 1) {
+      if (isRaw(column)) {
+        const params = [];
+        return { sql: `(${quoteIdentifier(column, { params })})`, params };
+      }
+      if (typeof column === 'string') {
+        throw new Error('having() with a single SQL string is not supported: use havingRaw(sql, params)');
+      }
+      const { sql, params } = compileWhere(column, { allowlist: this._allowedColumns });
+      return { sql: sql ? `(${sql})` : '', params };
+    }
+
+    return args.length === 2
+      ? this._comparison(column, '=', args[1])
+      : this._comparison(column, args[1], args[2]);
+  }
+
+  having(...args) {
+    return this._addHaving('AND', this._havingCondition(args));
+  }
+
+  orHaving(...args) {
+    return this._addHaving('OR', this._havingCondition(args));
+  }
+
+  havingRaw(condition, params = []) {
+    return this._addHaving('AND', { sql: `(${condition})`, params });
+  }
+
+  orHavingRaw(condition, params = []) {
+    return this._addHaving('OR', { sql: `(${condition})`, params });
+  }
+
   limit(limit) {
-    this._limit = limit;
+    this._limit = nonNegativeInteger(limit, 'limit');
     return this;
   }
 
   offset(offset) {
-    this._offset = offset;
+    this._offset = nonNegativeInteger(offset, 'offset');
+    return this;
+  }
+
+  // --------------------------------------------
+  // UNION and common table expressions
+  // --------------------------------------------
+
+  /**
+   * Append another query with UNION; this builder's ORDER BY, LIMIT and
+   * OFFSET apply to the combined result
+   */
+  union(query, all = false) {
+    this._unions.push({ query: this._resolveQuery(query), all });
+    return this;
+  }
+
+  unionAll(query) {
+    return this.union(query, true);
+  }
+
+  /**
+   * Eager load relations declared with defineRelations():
+   * with('items', 'customer'), with('items.product') or
+   * with({ items: qb => qb.where(...) }). Each relation costs one query.
+   *
+   * With a name and a subquery, adds a common table expression instead:
+   * WITH name [(columns)] AS (query)
+   */
+  with(...args) {
+    const [name, query, columns = null] = args;
+    const relationSpec = typeof name === 'object' && name !== null && !isRaw(name);
+    if (relationSpec || args.length === 1 || typeof query === 'string') {
+      parseEagerLoads(args, this._eager);
+      return this;
+    }
+    return this._addCte(name, query, columns, false);
+  }
+
+  /**
+   * Eager load relations only, whatever the arguments (see with())
+   */
+  withRelations(...relations) {
+    parseEagerLoads(relations, this._eager);
     return this;
   }
 
+  /**
+   * Add a recursive common table expression; the query is usually an anchor
+   * member combined with the recursive member through unionAll()
+   */
+  withRecursive(name, query, columns = null) {
+    return this._addCte(name, query, columns, true);
+  }
+
+  _addCte(name, query, columns, recursive) {
+    this._ctes.push({
+      name: quoteIdentifier(name),
+      columns: columns ? columnList(columns, { allowStar: false, allowAlias: false }) : null,
+      query: isRaw(query) ? query : this._resolveQuery(query),
+      recursive
+    });
+    return this;
+  }
+
+  _resolveQuery(query) {
+    if (typeof query === 'function') {
+      const nested = new QueryBuilder(this.db);
+      query(nested);
+      return nested;
+    }
+    if (!isSubquery(query)) {
+      throw new Error('Expected a QueryBuilder instance or a callback for the subquery');
+    }
+    return query;
+  }
+
+  _compileWith(params) {
+    if (this._ctes.length === 0) {
+      return '';
+    }
+
+    const recursive = this._ctes.some(cte => cte.recursive);
+    const ctes = this._ctes.map(cte => {
+      const body = isRaw(cte.query) ? `(${cte.query.sql})` : subquerySql(cte.query, params);
+      if (isRaw(cte.query)) {
+        params.push(...cte.query.params);
+      }
+      return `${cte.name}${cte.columns ? ` (${cte.columns})` : ''} AS ${body}`;
+    });
+
+    return `WITH ${recursive ? 'RECURSIVE ' : ''}${ctes.join(', ')} `;
+  }
+
+  /**
+   * Union members are parenthesized only when they carry their own
+   * ORDER BY / LIMIT, which keeps recursive CTE members valid
+   */
+  _compileUnions(params) {
+    return this._unions
+      .map(({ query, all }) => {
+        const keyword = all ? 'UNION ALL' : 'UNION';
+        const ownModifiers = query._orderBy?.length > 0 || query._limit != null || query._offset != null;
+        if (ownModifiers) {
+          return ` ${keyword} ${subquerySql(query, params)}`;
+        }
+        const compiled = query.toSQL();
+        params.push(...compiled.params);
+        return ` ${keyword} ${compiled.sql}`;
+      })
+      .join('');
+  }
+
   /**
    * Generate SQL and parameters
    */
   toSQL() {
-    let sql = `SELECT ${this._columns.join(', ')} FROM ${this._table}`;
+    const params = [];
+    let sql = this._compileWith(params);
 
-    if (this._joins.length > 0) {
-      sql += ' ' + this._joins.join(' ');
-    }
+    sql += `SELECT ${this._columns.join(', ')} FROM ${this._table}`;
+    params.push(...this._columnParams, ...this._tableParams);
+
+    const joins = this._compileJoins();
+    sql += joins.sql;
+    params.push(...joins.params);
 
-    if (this._where.length > 0) {
-      sql += ' WHERE ' + this._where.join(' AND ');
+    const where = this._compileWhere();
+    if (where.sql) {
+      sql += ' WHERE ' + where.sql;
+      params.push(...where.params);
     }
 
     if (this._groupBy.length > 0) {
       sql += ' GROUP BY ' + this._groupBy.join(', ');
     }
 
-    if (this._having) {
-      sql += ' HAVING ' + this._having;
+    const having = this._compileConditions(this._having);
+    if (having.sql) {
+      sql += ' HAVING ' + having.sql;
+      params.push(...having.params);
+    }
+
+    sql += this._compileUnions(params);
+
+    sql += this._compileOrderAndLimit();
+
+    if (this._offset !== null) {
+      sql += ` OFFSET ${this._offset}`;
     }
 
+    return { sql, params };
+  }
+
+  _compileJoins() {
+    if (this._joins.length === 0) {
+      return { sql: '', params: [] };
+    }
+    return {
+      sql: ' ' + this._joins.map(join => join.sql).join(' '),
+      params: this._joins.flatMap(join => join.params)
+    };
+  }
+
+  _compileOrderAndLimit() {
+    let sql = '';
+
     if (this._orderBy.length > 0) {
       sql += ' ORDER BY ' + this._orderBy.join(', ');
     }
@@ -186,11 +842,220 @@ class QueryBuilder {
       sql += ` LIMIT ${this._limit}`;
     }
 
+    return sql;
+  }
+
+  // --------------------------------------------
+  // INSERT / UPDATE / DELETE
+  // --------------------------------------------
+
+  _value(value, params) {
+    if (isRaw(value)) {
+      params.push(...value.params);
+      return value.sql;
+    }
+    if (isSubquery(value)) {
+      return subquerySql(value, params);
+    }
+    params.push(value);
+    return '?';
+  }
+
+  /**
+   * Where clause for UPDATE/DELETE; refuses to touch every row of the table
+   */
+  _requiredWhere(operation) {
+    const where = this._compileWhere();
+    if (!where.sql) {
+      throw new Error(`${operation}() requires a where condition`);
+    }
+    return where;
+  }
+
+  /**
+   * UPDATE/DELETE with joins are multi-table statements, which MySQL does not
+   * allow to carry ORDER BY, LIMIT or OFFSET
+   */
+  _assertWriteModifiers(operation) {
     if (this._offset !== null) {
-      sql += ` OFFSET ${this._offset}`;
+      throw new Error(`${operation}() does not support OFFSET`);
+    }
+    if (this._joins.length > 0 && (this._orderBy.length > 0 || this._limit !== null)) {
+      throw new Error(`${operation}() with joins cannot use ORDER BY or LIMIT`);
     }
+  }
 
-    return { sql, params: this._whereParams };
+  /**
+   * Generate INSERT SQL for one row, an array of rows, or an INSERT ... SELECT
+   * from another QueryBuilder
+   */
+  toInsertSQL(rows, options = {}) {
+    const table = quoteIdentifier(this._tableName);
+
+    if (rows instanceof QueryBuilder) {
+      const { sql, params } = rows.toSQL();
+      const columns = options.columns
+        ? ` (${options.columns.map(column => this._column(column)).join(', ')})`
+        : '';
+      return { sql: `INSERT INTO ${table}${columns} ${sql}`, params: [...params] };
+    }
+
+    const list = Array.isArray(rows) ? rows : [rows];
+    if (list.length === 0) {
+      throw new Error('Data array cannot be empty');
+    }
+
+    const columns = Object.keys(list[0]);
+    const params = [];
+    const values = list
+      .map(row => `(${columns.map(column => this._value(row[column], params)).join(', ')})`)
+      .join(', ');
+
+    const columnSql = columns.map(column => this._column(column)).join(', ');
+    return { sql: `INSERT INTO ${table} (${columnSql}) VALUES ${values}`, params };
+  }
+
+  /**
+   * Generate UPDATE SQL using the builder's joins, conditions, order and limit
+   */
+  toUpdateSQL(data) {
+    this._assertWriteModifiers('update');
+
+    const joins = this._compileJoins();
+    const params = [...this._tableParams, ...joins.params];
+    const set = Object.keys(data)
+      .map(column => `${this._column(column)} = ${this._value(data[column], params)}`)
+      .join(', ');
+    const where = this._requiredWhere('update');
+
+    const sql = `UPDATE ${this._table}${joins.sql} SET ${set} WHERE ${where.sql}`
+      + this._compileOrderAndLimit();
+    return { sql, params: [...params, ...where.params] };
+  }
+
+  /**
+   * Generate DELETE SQL using the builder's joins, conditions, order and limit
+   */
+  toDeleteSQL() {
+    this._assertWriteModifiers('delete');
+
+    const where = this._requiredWhere('delete');
+
+    if (this._joins.length > 0) {
+      // Multi-table DELETE only removes rows from the target table (or its alias)
+      const [table, alias] = this._table.split(' AS ');
+      const joins = this._compileJoins();
+      const sql = `DELETE ${alias || table} FROM ${this._table}${joins.sql} WHERE ${where.sql}`;
+      return { sql, params: [...this._tableParams, ...joins.params, ...where.params] };
+    }
+
+    const sql = `DELETE FROM ${this._table} WHERE ${where.sql}` + this._compileOrderAndLimit();
+    return { sql, params: where.params };
+  }
+
+  /**
+   * Insert rows (timestamps and insert hooks apply as in helper.insert())
+   */
+  async insert(rows, options = {}) {
+    let data = rows;
+    if (!(rows instanceof QueryBuilder) && !options.skipTimestamps) {
+      data = Array.isArray(rows)
+        ? rows.map(row => this.db._addTimestamps(row, false))
+        : this.db._addTimestamps(rows, false);
+    }
+
+    await this.db._runHooks('beforeInsert', { table: this._tableName, data });
+
+    const { sql, params } = this.toInsertSQL(data, options);
+    const result = await this.db.query(sql, params, { cache: false });
+
+    const insertResult = {
+      insertId: result.insertId,
+      affectedRows: result.affectedRows
+    };
+
+    await this.db._runHooks('afterInsert', { table: this._tableName, data, result: insertResult });
+    this.reset();
+
+    return insertResult;
+  }
+
+  /**
+   * Update matching rows (timestamps and update hooks apply as in helper.update())
+   */
+  async update(data, options = {}) {
+    const timestampedData = options.skipTimestamps ? data : this.db._addTimestamps(data, true);
+    const where = this._compileWhere();
+
+    await this.db._runHooks('beforeUpdate', { table: this._tableName, data: timestampedData, where });
+
+    const { sql, params } = this.toUpdateSQL(timestampedData);
+    const result = await this.db.query(sql, params, { cache: false });
+
+    const updateResult = {
+      affectedRows: result.affectedRows,
+      changedRows: result.changedRows
+    };
+
+    await this.db._runHooks('afterUpdate', { table: this._tableName, data: timestampedData, where, result: updateResult });
+    this.reset();
+
+    return updateResult;
+  }
+
+  /**
+   * Add `amount` to a column on matching rows, optionally setting other columns
+   */
+  async increment(column, amount = 1, extra = {}, options = {}) {
+    const quoted = this._column(column);
+    const step = Number(amount);
+    if (!Number.isFinite(step)) {
+      throw new Error(`Invalid increment amount "${amount}"`);
+    }
+    return this.update({ ...extra, [column]: raw(`${quoted} + ?`, [step]) }, options);
+  }
+
+  /**
+   * Subtract `amount` from a column on matching rows
+   */
+  async decrement(column, amount = 1, extra = {}, options = {}) {
+    return this.increment(column, -Number(amount), extra, options);
+  }
+
+  /**
+   * Delete matching rows
+   */
+  async delete() {
+    const { sql, params } = this.toDeleteSQL();
+    const result = await this.db.query(sql, params, { cache: false });
+    this.reset();
+
+    return {
+      affectedRows: result.affectedRows
+    };
+  }
+
+  /**
+   * Hydrate JOIN results into nested objects, one per distinct row of the
+   * first single entry, e.g.
+   * nest({ order: 'orders.*', customer: 'customers.*', items: ['order_items.*'] }).
+   * Records are deduplicated by `id`, or by the column given in
+   * `options.keys` ({ order_items: 'item_id' }); aliased tables are named
+   * by their alias. Without a shape, rows stay flat with columns named
+   * `table__column` so equal names no longer overwrite each other.
+   */
+  nest(shape = null, options = {}) {
+    const { keys = {} } = options;
+    if (shape === null) {
+      this._nest = { entries: null, keys };
+      return this;
+    }
+    const entries = _parseNestShape(shape);
+    if (!entries.some(entry => !entry.many)) {
+      throw new Error('nest() needs at least one single-object entry to group the rows by');
+    }
+    this._nest = { entries, keys };
+    return this;
   }
 
   /**
@@ -198,9 +1063,41 @@ class QueryBuilder {
    */
   async get() {
     const { sql, params } = this.toSQL();
-    const result = await this.db.query(sql, params);
+    const nest = this._nest;
+    if (nest && (this._hydrate || this._eager.size > 0)) {
+      // Nested results are plain objects keyed by the shape, not table rows
+      throw new Error('nest() cannot be combined with model queries or eager loading');
+    }
+    if (nest) {
+      const result = await this.db.query(sql, params, { replica: true, nestTables: nest.entries ? true : '__' });
+      this.reset();
+      return nest.entries ? _nestRows(result, nest.entries, nest.keys) : result;
+    }
+
+    const eager = this._eager;
+    const table = String(this._tableName).split(/\s+/)[0];
+    const result = await this.db.query(sql, params, { replica: true });
     this.reset();
-    return result;
+    const rows = this._hydrate ? this._hydrate(result) : result;
+    return eager.size > 0 ? await eagerLoad(this.db, table, rows, eager) : rows;
+  }
+
+  /**
+   * Stream results as an object-mode Readable (see MySQLHelper#stream)
+   */
+  stream(options = {}) {
+    const { sql, params } = this.toSQL();
+    this.reset();
+    return this.db.stream(sql, params, options);
+  }
+
+  /**
+   * Async iterator over the results (see MySQLHelper#iterate)
+   */
+  iterate(options = {}) {
+    const { sql, params } = this.toSQL();
+    this.reset();
+    return this.db.iterate(sql, params, options);
   }
 
   /**
@@ -216,10 +1113,29 @@ class QueryBuilder {
    * Get count of matching records
    */
   async count() {
-    const originalColumns = this._columns;
-    this._columns = ['COUNT(*) as count'];
-    const result = await this.first();
-    this._columns = originalColumns;
+    // Count on a copy so the builder keeps its state (paginate() reuses it)
+    const query = this.clone();
+    query._orderBy = [];
+    query._limit = null;
+    query._offset = null;
+    query._hydrate = null;
+    query._eager = new Map();
+    query._nest = null;
+
+    // COUNT(*) on a UNION or GROUP BY gives one count per member or group, so
+    // those are counted as a derived table
+    if (query._unions.length > 0 || query._groupBy.length > 0 || query._having.length > 0) {
+      if (query._unions.length === 0 && query._having.length === 0) {
+        // Only the groups matter; this also keeps duplicate column names from
+        // joins out of the derived table
+        query.select(raw('1'));
+      }
+      const outer = new QueryBuilder(query.db).fromSub(query, 'counted');
+      const result = await outer.select(raw('COUNT(*) as count')).first();
+      return result ? result.count : 0;
+    }
+
+    const result = await query.select(raw('COUNT(*) as count')).first();
     return result ? result.count : 0;
   }
 
@@ -255,21 +1171,109 @@ class QueryBuilder {
     };
   }
 
+  /**
+   * Keyset (cursor) pagination.
+   *
+   * `orderBy` lists the sort columns; the last one must be unique (usually the
+   * primary key) to break ties. Pass the `nextCursor`/`prevCursor` of a
+   * previous page as `after`/`before`. The total count is included unless
+   * `withTotal` is false.
+   */
+  async cursorPaginate(options = {}) {
+    const { orderBy = [['id', 'ASC']], after = null, before = null, limit = 15, withTotal = true } = options;
+
+    if (after && before) {
+      throw new Error('cursorPaginate() accepts either after or before, not both');
+    }
+
+    const perPage = nonNegativeInteger(limit, 'limit');
+    const sort = _parseCursorOrder(orderBy);
+    const backward = Boolean(before);
+    const cursor = after || before;
+
+    const totalCount = withTotal ? await this.count() : undefined;
+
+    const query = this.clone();
+    query._orderBy = [];
+    query._offset = null;
+
+    if (cursor) {
+      const values = decodeCursor(cursor, sort.length);
+      // Parenthesize the existing conditions so an orWhere() among them
+      // cannot escape the cursor condition
+      if (query._where.length > 1) {
+        const { sql, params } = query._compileWhere();
+        query._where = [{ boolean: 'AND', sql: `(${sql})`, params }];
+      }
+      query.where(group => {
+        sort.forEach(({ column, direction }, i) => {
+          const ascending = (direction === 'ASC') !== backward;
+          group.orWhere(branch => {
+            for (let j = 0; j < i; j++) {
+              branch.where(sort[j].column, values[j]);
+            }
+            branch.where(column, ascending ? '>' : '<', values[i]);
+          });
+        });
+      });
+    }
+
+    sort.forEach(({ column, direction }) => {
+      const flipped = direction === 'ASC' ? 'DESC' : 'ASC';
+      query.orderBy(column, backward ? flipped : direction);
+    });
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = await query.limit(perPage + 1).get();
+    const hasMore = rows.length > perPage;
+    const data = rows.slice(0, perPage);
+    if (backward) {
+      data.reverse();
+    }
+
+    const cursorFor = row => (row ? encodeCursor(sort.map(({ key }) => _cursorValue(row, key))) : null);
+    const hasNextPage = backward ? true : hasMore;
+    const hasPrevPage = backward ? hasMore : Boolean(after);
+
+    this.reset();
+
+    const pagination = {
+      perPage,
+      nextCursor: hasNextPage && data.length > 0 ? cursorFor(data[data.length - 1]) : null,
+      prevCursor: hasPrevPage && data.length > 0 ? cursorFor(data[0]) : null,
+      hasNextPage,
+      hasPrevPage
+    };
+    if (withTotal) {
+      pagination.totalItems = totalCount;
+    }
+
+    return { data, pagination };
+  }
+
   /**
    * Clone current query builder
    */
   clone() {
     const cloned = new QueryBuilder(this.db);
     cloned._table = this._table;
+    cloned._tableName = this._tableName;
+    cloned._tableParams = [...this._tableParams];
     cloned._columns = [...this._columns];
+    cloned._columnParams = [...this._columnParams];
     cloned._where = [...this._where];
-    cloned._whereParams = [...this._whereParams];
     cloned._joins = [...this._joins];
     cloned._orderBy = [...this._orderBy];
     cloned._groupBy = [...this._groupBy];
-    cloned._having = this._having;
+    cloned._having = [...this._having];
     cloned._limit = this._limit;
     cloned._offset = this._offset;
+    cloned._unions = [...this._unions];
+    cloned._ctes = [...this._ctes];
+    cloned._allowedColumns = this._allowedColumns;
+    cloned._hydrate = this._hydrate;
+    cloned._eager = new Map(this._eager);
+    cloned._nest = this._nest;
     return cloned;
   }
 }
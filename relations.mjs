@@ -0,0 +1,191 @@
+/**
+ * Table relations and eager loading: each relation is loaded for all parent
+ * rows with one WHERE IN query and attached to them by key
+ */
+
+const RELATION_TYPES = ['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'];
+
+// Column alias carrying the parent key of belongsToMany rows
+const PIVOT_KEY = '__pivot_key';
+
+/**
+ * Validate a relation declaration and fill in its defaults:
+ *   { belongsTo: 'customers', foreignKey = '<name>_id', ownerKey = 'id' }
+ *   { hasOne | hasMany: 'order_items', foreignKey, localKey = 'id' }
+ *   { belongsToMany: 'tags', through, foreignPivotKey, relatedPivotKey,
+ *     localKey = 'id', relatedKey = 'id' }
+ */
+function normalizeRelation(table, name, relation) {
+  const type = RELATION_TYPES.find(candidate => candidate in relation);
+  if (!type) {
+    throw new Error(`Relation ${table}.${name} must declare one of ${RELATION_TYPES.join(', ')}`);
+  }
+  const target = relation[type];
+  const required = keys => {
+    const missing = keys.filter(key => !relation[key]);
+    if (missing.length > 0) {
+      throw new Error(`${type} relation ${table}.${name} requires ${missing.join(', ')}`);
+    }
+  };
+
+  switch (type) {
+    case 'belongsTo':
+      return { type, table: target, foreignKey: relation.foreignKey || `${name}_id`, ownerKey: relation.ownerKey || 'id' };
+    case 'hasOne':
+    case 'hasMany':
+      required(['foreignKey']);
+      return { type, table: target, foreignKey: relation.foreignKey, localKey: relation.localKey || 'id' };
+    default:
+      required(['through', 'foreignPivotKey', 'relatedPivotKey']);
+      return {
+        type,
+        table: target,
+        through: relation.through,
+        foreignPivotKey: relation.foreignPivotKey,
+        relatedPivotKey: relation.relatedPivotKey,
+        localKey: relation.localKey || 'id',
+        relatedKey: relation.relatedKey || 'id'
+      };
+  }
+}
+
+/**
+ * Parse with() arguments ('items', 'items.product', { items: qb => ... })
+ * into a tree: Map of name -> { constrain, nested }
+ */
+function parseEagerLoads(specs, tree = new Map()) {
+  const add = (target, path, constrain) => {
+    const [name, ...rest] = path.split('.');
+    if (!target.has(name)) {
+      target.set(name, { constrain: null, nested: new Map() });
+    }
+    const node = target.get(name);
+    if (rest.length > 0) {
+      add(node.nested, rest.join('.'), constrain);
+    } else if (constrain) {
+      node.constrain = constrain;
+    }
+  };
+
+  for (const spec of specs.flat()) {
+    if (typeof spec === 'string') {
+      add(tree, spec, null);
+    } else if (spec && typeof spec === 'object') {
+      for (const [path, constrain] of Object.entries(spec)) {
+        add(tree, path, typeof constrain === 'function' ? constrain : null);
+      }
+    } else {
+      throw new Error('with() expects relation names or { relation: callback } objects');
+    }
+  }
+  return tree;
+}
+
+function _key(value) {
+  return Buffer.isBuffer(value) ? value.toString('hex') : String(value);
+}
+
+function _uniqueKeys(rows, column) {
+  const keys = new Map();
+  for (const row of rows) {
+    const value = row[column];
+    if (value !== null && value !== undefined) {
+      keys.set(_key(value), value);
+    }
+  }
+  return [...keys.values()];
+}
+
+function _setRelation(row, name, value) {
+  if (typeof row.setRelation === 'function') {
+    row.setRelation(name, value);
+  } else {
+    row[name] = value;
+  }
+}
+
+/**
+ * QueryBuilder for a relation's table; rows come back as model instances
+ * when a model is defined for the table
+ */
+function _relatedQuery(db, table) {
+  const model = [...db.models.values()].find(candidate => candidate.table === table);
+  return model ? model.query() : db.queryBuilder().table(table);
+}
+
+/**
+ * Load the relations in `tree` for `rows` of `table` and attach them
+ */
+async function eagerLoad(db, table, rows, tree) {
+  if (rows.length === 0) {
+    return rows;
+  }
+  const declared = db.relations.get(table) || {};
+
+  for (const [name, { constrain, nested }] of tree) {
+    const relation = declared[name];
+    if (!relation) {
+      throw new Error(`Relation "${name}" is not defined for table ${table}`);
+    }
+
+    const parentKey = relation.type === 'belongsTo' ? relation.foreignKey : relation.localKey;
+    const keys = _uniqueKeys(rows, parentKey);
+    const query = _relatedQuery(db, relation.table);
+    let related = [];
+
+    if (keys.length > 0) {
+      if (relation.type === 'belongsToMany') {
+        const { table: target, through, foreignPivotKey, relatedPivotKey, relatedKey } = relation;
+        query
+          .select(`${target}.*`, `${through}.${foreignPivotKey} as ${PIVOT_KEY}`)
+          .join(through, `${through}.${relatedPivotKey}`, '=', `${target}.${relatedKey}`)
+          .whereIn(`${through}.${foreignPivotKey}`, keys);
+      } else {
+        const column = relation.type === 'belongsTo' ? relation.ownerKey : relation.foreignKey;
+        query.whereIn(`${relation.table}.${column}`, keys);
+      }
+      if (constrain) {
+        constrain(query);
+      }
+      related = await query.get();
+    }
+
+    if (nested.size > 0) {
+      await eagerLoad(db, relation.table, related, nested);
+    }
+
+    // Group the related rows by the key that points back at their parent
+    const groups = new Map();
+    for (const row of related) {
+      let key;
+      if (relation.type === 'belongsToMany') {
+        key = _key(row[PIVOT_KEY]);
+        _removePivotKey(row);
+      } else {
+        key = _key(row[relation.type === 'belongsTo' ? relation.ownerKey : relation.foreignKey]);
+      }
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+
+    const many = relation.type === 'hasMany' || relation.type === 'belongsToMany';
+    for (const row of rows) {
+      const value = row[parentKey];
+      const group = value === null || value === undefined ? [] : groups.get(_key(value)) || [];
+      _setRelation(row, name, many ? group : group[0] || null);
+    }
+  }
+  return rows;
+}
+
+function _removePivotKey(row) {
+  if (row._attributes) {
+    delete row._attributes[PIVOT_KEY];
+    delete row._original[PIVOT_KEY];
+  }
+  delete row[PIVOT_KEY];
+}
+
+export { normalizeRelation, parseEagerLoads, eagerLoad, RELATION_TYPES };
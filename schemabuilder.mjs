@@ -0,0 +1,512 @@
+import mysql from 'mysql2/promise';
+import { isRaw, raw, quoteIdentifier, columnList, nonNegativeInteger } from './sql.mjs';
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'RESTRICT', 'NO ACTION', 'SET DEFAULT'];
+
+function _referentialAction(action) {
+  const normalized = String(action).trim().replace(/\s+/g, ' ').toUpperCase();
+  if (!REFERENTIAL_ACTIONS.includes(normalized)) {
+    throw new Error(`Invalid referential action "${action}": expected one of ${REFERENTIAL_ACTIONS.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+// Engine, charset and collation names are keywords, not quotable identifiers
+function _word(value, label) {
+  if (!/^[A-Za-z0-9_]+$/.test(String(value))) {
+    throw new Error(`Invalid ${label} "${value}"`);
+  }
+
+  return value;
+}
+
+// DDL does not take placeholders, so literal defaults are escaped instead
+function _literal(value) {
+  if (isRaw(value)) {
+    return value.sql;
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+
+  return mysql.escape(value);
+}
+
+/**
+ * One column definition; modifiers chain and return the column
+ */
+class ColumnDefinition {
+  constructor(name, type) {
+    this.name = name;
+    this.type = type;
+    this._unsigned = false;
+    this._nullable = false;
+    this._default = undefined;
+    this._onUpdate = null;
+    this._autoIncrement = false;
+    this._primary = false;
+    this._unique = false;
+    this._index = false;
+    this._comment = null;
+    this._after = null;
+    this._first = false;
+    this._change = false;
+  }
+
+  unsigned() {
+    this._unsigned = true;
+    return this;
+  }
+
+  nullable(value = true) {
+    this._nullable = value;
+    return this;
+  }
+
+  notNullable() {
+    this._nullable = false;
+    return this;
+  }
+
+  default(value) {
+    this._default = value;
+    return this;
+  }
+
+  /** DEFAULT CURRENT_TIMESTAMP */
+  useCurrent() {
+    this._default = raw('CURRENT_TIMESTAMP');
+    return this;
+  }
+
+  /** ON UPDATE CURRENT_TIMESTAMP */
+  useCurrentOnUpdate() {
+    this._onUpdate = 'CURRENT_TIMESTAMP';
+    return this;
+  }
+
+  autoIncrement() {
+    this._autoIncrement = true;
+    return this;
+  }
+
+  primary() {
+    this._primary = true;
+    return this;
+  }
+
+  unique() {
+    this._unique = true;
+    return this;
+  }
+
+  index() {
+    this._index = true;
+    return this;
+  }
+
+  comment(text) {
+    this._comment = text;
+    return this;
+  }
+
+  /** ALTER TABLE only: position after another column */
+  after(column) {
+    this._after = column;
+    return this;
+  }
+
+  first() {
+    this._first = true;
+    return this;
+  }
+
+  /** ALTER TABLE only: modify the existing column instead of adding it */
+  change() {
+    this._change = true;
+    return this;
+  }
+
+  toSQL() {
+    let sql = `${quoteIdentifier(this.name)} ${this.type}`;
+    if (this._unsigned) sql += ' UNSIGNED';
+    sql += this._nullable ? ' NULL' : ' NOT NULL';
+    if (this._default !== undefined) sql += ` DEFAULT ${this._default === null ? 'NULL' : _literal(this._default)}`;
+    if (this._onUpdate) sql += ` ON UPDATE ${this._onUpdate}`;
+    if (this._autoIncrement) sql += ' AUTO_INCREMENT';
+    if (this._primary) sql += ' PRIMARY KEY';
+    if (this._comment !== null) sql += ` COMMENT ${_literal(this._comment)}`;
+    if (this._first) sql += ' FIRST';
+    else if (this._after) sql += ` AFTER ${quoteIdentifier(this._after)}`;
+    return sql;
+  }
+}
+
+/**
+ * FOREIGN KEY constraint: t.foreign('org_id').references('orgs.id').onDelete('cascade')
+ */
+class ForeignKeyDefinition {
+  constructor(columns, name) {
+    this.columns = columns;
+    this.name = name;
+    this._table = null;
+    this._references = [];
+    this._onDelete = null;
+    this._onUpdate = null;
+  }
+
+  /**
+   * Referenced column(s), as 'table.column' or with on(table)
+   */
+  references(columns) {
+    const list = [columns].flat();
+    if (list.length === 1 && list[0].includes('.')) {
+      const dot = list[0].lastIndexOf('.');
+      this._table = list[0].slice(0, dot);
+      this._references = [list[0].slice(dot + 1)];
+    } else {
+      this._references = list;
+    }
+    return this;
+  }
+
+  on(table) {
+    this._table = table;
+    return this;
+  }
+
+  inTable(table) {
+    return this.on(table);
+  }
+
+  onDelete(action) {
+    this._onDelete = _referentialAction(action);
+    return this;
+  }
+
+  onUpdate(action) {
+    this._onUpdate = _referentialAction(action);
+    return this;
+  }
+
+  toSQL() {
+    if (!this._table || this._references.length === 0) {
+      throw new Error(`Foreign key ${this.name} needs references('table.column')`);
+    }
+    let sql = `CONSTRAINT ${quoteIdentifier(this.name)} FOREIGN KEY (${columnList(this.columns, { allowStar: false, allowAlias: false })})`;
+    sql += ` REFERENCES ${quoteIdentifier(this._table)} (${columnList(this._references, { allowStar: false, allowAlias: false })})`;
+    if (this._onDelete) sql += ` ON DELETE ${this._onDelete}`;
+    if (this._onUpdate) sql += ` ON UPDATE ${this._onUpdate}`;
+    return sql;
+  }
+}
+
+/**
+ * Collects the columns, indexes and constraints declared in a
+ * createTable()/alterTable() callback
+ */
+class TableBlueprint {
+  constructor(table, db) {
+    this.table = table;
+    this.db = db;
+    this.columns = [];
+    this.indexes = [];
+    this.foreignKeys = [];
+    this.primaryKey = null;
+    this.commands = [];
+  }
+
+  _column(name, type) {
+    const column = new ColumnDefinition(name, type);
+    this.columns.push(column);
+    return column;
+  }
+
+  _indexName(columns, suffix) {
+    return `${this.table}_${columns.join('_')}_${suffix}`.toLowerCase().slice(0, 64);
+  }
+
+  // Column types
+
+  increments(name = 'id') {
+    return this._column(name, 'INT').unsigned().autoIncrement().primary();
+  }
+
+  bigIncrements(name = 'id') {
+    return this._column(name, 'BIGINT').unsigned().autoIncrement().primary();
+  }
+
+  tinyInteger(name) {
+    return this._column(name, 'TINYINT');
+  }
+
+  smallInteger(name) {
+    return this._column(name, 'SMALLINT');
+  }
+
+  integer(name) {
+    return this._column(name, 'INT');
+  }
+
+  bigInteger(name) {
+    return this._column(name, 'BIGINT');
+  }
+
+  decimal(name, precision = 8, scale = 2) {
+    return this._column(name, `DECIMAL(${nonNegativeInteger(precision, 'precision')}, ${nonNegativeInteger(scale, 'scale')})`);
+  }
+
+  float(name) {
+    return this._column(name, 'FLOAT');
+  }
+
+  double(name) {
+    return this._column(name, 'DOUBLE');
+  }
+
+  boolean(name) {
+    return this._column(name, 'TINYINT(1)');
+  }
+
+  string(name, length = 255) {
+    return this._column(name, `VARCHAR(${nonNegativeInteger(length, 'length')})`);
+  }
+
+  char(name, length = 255) {
+    return this._column(name, `CHAR(${nonNegativeInteger(length, 'length')})`);
+  }
+
+  text(name) {
+    return this._column(name, 'TEXT');
+  }
+
+  mediumText(name) {
+    return this._column(name, 'MEDIUMTEXT');
+  }
+
+  longText(name) {
+    return this._column(name, 'LONGTEXT');
+  }
+
+  json(name) {
+    return this._column(name, 'JSON');
+  }
+
+  uuid(name) {
+    return this._column(name, 'CHAR(36)');
+  }
+
+  binary(name, length = null) {
+    return this._column(name, length === null ? 'BLOB' : `VARBINARY(${nonNegativeInteger(length, 'length')})`);
+  }
+
+  enum(name, values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`enum() column "${name}" needs a list of values`);
+    }
+    return this._column(name, `ENUM(${values.map(value => _literal(String(value))).join(', ')})`);
+  }
+
+  date(name) {
+    return this._column(name, 'DATE');
+  }
+
+  time(name) {
+    return this._column(name, 'TIME');
+  }
+
+  dateTime(name, precision = 0) {
+    return this._column(name, precision ? `DATETIME(${nonNegativeInteger(precision, 'precision')})` : 'DATETIME');
+  }
+
+  timestamp(name, precision = 0) {
+    return this._column(name, precision ? `TIMESTAMP(${nonNegativeInteger(precision, 'precision')})` : 'TIMESTAMP');
+  }
+
+  /**
+   * Creation/update timestamp columns named after the helper's
+   * createdAtColumn/updatedAtColumn settings
+   */
+  timestamps() {
+    this.timestamp(this.db.createdAtColumn).useCurrent();
+    this.timestamp(this.db.updatedAtColumn).useCurrent().useCurrentOnUpdate();
+  }
+
+  // Indexes and constraints
+
+  primary(columns) {
+    this.primaryKey = [columns].flat();
+    return this;
+  }
+
+  unique(columns, name = null) {
+    const list = [columns].flat();
+    this.indexes.push({ name: name || this._indexName(list, 'unique'), columns: list, options: { unique: true } });
+    return this;
+  }
+
+  index(columns, name = null, options = {}) {
+    const list = [columns].flat();
+    this.indexes.push({ name: name || this._indexName(list, 'index'), columns: list, options });
+    return this;
+  }
+
+  foreign(columns, name = null) {
+    const list = [columns].flat();
+    const foreignKey = new ForeignKeyDefinition(list, name || this._indexName(list, 'foreign'));
+    this.foreignKeys.push(foreignKey);
+    return foreignKey;
+  }
+
+  // ALTER TABLE commands
+
+  dropColumn(columns) {
+    [columns].flat().forEach(column => this.commands.push(`DROP COLUMN ${quoteIdentifier(column)}`));
+    return this;
+  }
+
+  renameColumn(from, to) {
+    this.commands.push(`RENAME COLUMN ${quoteIdentifier(from)} TO ${quoteIdentifier(to)}`);
+    return this;
+  }
+
+  dropIndex(name) {
+    this.commands.push(`DROP INDEX ${quoteIdentifier(name)}`);
+    return this;
+  }
+
+  dropForeign(name) {
+    this.commands.push(`DROP FOREIGN KEY ${quoteIdentifier(name)}`);
+    return this;
+  }
+
+  /**
+   * Column-level unique()/index() modifiers become indexes, created through
+   * MySQLHelper#createIndex once the table exists
+   */
+  _pendingIndexes() {
+    const fromColumns = this.columns
+      .filter(column => column._unique || column._index)
+      .map(column => column._unique
+        ? { name: this._indexName([column.name], 'unique'), columns: [column.name], options: { unique: true } }
+        : { name: this._indexName([column.name], 'index'), columns: [column.name], options: {} });
+    return [...fromColumns, ...this.indexes];
+  }
+
+  toCreateSQL(options = {}) {
+    const { ifNotExists = false, engine = 'InnoDB', charset = 'utf8mb4', collate = null } = options;
+
+    // foreign('org_id') on an undeclared column adds it, matching increments()
+    for (const foreignKey of this.foreignKeys) {
+      for (const name of foreignKey.columns) {
+        if (!this.columns.some(column => column.name === name)) {
+          this.integer(name).unsigned().nullable(foreignKey._onDelete === 'SET NULL');
+        }
+      }
+    }
+
+    const definitions = this.columns.map(column => column.toSQL());
+    if (this.primaryKey) {
+      definitions.push(`PRIMARY KEY (${columnList(this.primaryKey, { allowStar: false, allowAlias: false })})`);
+    }
+    definitions.push(...this.foreignKeys.map(foreignKey => foreignKey.toSQL()));
+
+    let sql = `CREATE TABLE ${ifNotExists ? 'IF NOT EXISTS ' : ''}${quoteIdentifier(this.table)} (\n  ${definitions.join(',\n  ')}\n)`;
+    sql += ` ENGINE=${_word(engine, 'engine')} DEFAULT CHARSET=${_word(charset, 'charset')}`;
+    if (collate) {
+      sql += ` COLLATE=${_word(collate, 'collation')}`;
+    }
+    return sql;
+  }
+
+  toAlterSQL() {
+    const specs = [
+      ...this.columns.map(column => `${column._change ? 'MODIFY COLUMN' : 'ADD COLUMN'} ${column.toSQL()}`),
+      ...this.commands,
+      ...this.foreignKeys.map(foreignKey => `ADD ${foreignKey.toSQL()}`)
+    ];
+    if (this.primaryKey) {
+      specs.push(`ADD PRIMARY KEY (${columnList(this.primaryKey, { allowStar: false, allowAlias: false })})`);
+    }
+    if (specs.length === 0) {
+      return null;
+    }
+    return `ALTER TABLE ${quoteIdentifier(this.table)} ${specs.join(', ')}`;
+  }
+}
+
+/**
+ * Fluent CREATE/ALTER TABLE builder, available as `helper.schema`
+ */
+class SchemaBuilder {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a table from the columns declared in `callback(table)`.
+   * Options: ifNotExists, engine (InnoDB), charset (utf8mb4), collate.
+   */
+  async createTable(name, callback, options = {}) {
+    const blueprint = new TableBlueprint(name, this.db);
+    callback(blueprint);
+
+    await this.db.query(blueprint.toCreateSQL(options));
+    for (const { name: indexName, columns, options: indexOptions } of blueprint._pendingIndexes()) {
+      if (!options.ifNotExists || !(await this.db.indexExists(name, indexName))) {
+        await this.db.createIndex(name, indexName, columns, indexOptions);
+      }
+    }
+    this.db.emit('tableCreated', { table: name });
+  }
+
+  async alterTable(name, callback) {
+    const blueprint = new TableBlueprint(name, this.db);
+    callback(blueprint);
+
+    const sql = blueprint.toAlterSQL();
+    if (sql) {
+      await this.db.query(sql);
+    }
+    for (const { name: indexName, columns, options } of blueprint._pendingIndexes()) {
+      await this.db.createIndex(name, indexName, columns, options);
+    }
+    this.db.emit('tableAltered', { table: name });
+  }
+
+  async renameColumn(table, from, to) {
+    await this.alterTable(table, t => t.renameColumn(from, to));
+  }
+
+  async dropColumn(table, columns) {
+    await this.alterTable(table, t => t.dropColumn(columns));
+  }
+
+  async hasTable(table) {
+    return await this.db.tableExists(table);
+  }
+
+  async hasColumn(table, column) {
+    const schema = await this.db.getTableSchema(table);
+    return schema.some(row => row.Field.toLowerCase() === column.toLowerCase());
+  }
+
+  async renameTable(from, to) {
+    await this.db.query(`RENAME TABLE ${quoteIdentifier(from)} TO ${quoteIdentifier(to)}`);
+  }
+
+  async dropTable(table) {
+    await this.db.query(`DROP TABLE ${quoteIdentifier(table)}`);
+    this.db.emit('tableDropped', { table });
+  }
+
+  async dropTableIfExists(table) {
+    await this.db.query(`DROP TABLE IF EXISTS ${quoteIdentifier(table)}`);
+    this.db.emit('tableDropped', { table });
+  }
+}
+
+export { SchemaBuilder, TableBlueprint, ColumnDefinition, ForeignKeyDefinition };
+export default SchemaBuilder;
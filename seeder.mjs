@@ -0,0 +1,97 @@
+import path from 'path';
+import { quoteIdentifier } from './sql.mjs';
+import { loadModules } from './loader.mjs';
+
+const SEED_FILE = /^[\w.-]+\.(?:mjs|js)$/;
+
+/**
+ * Seeder runner: executes modules exporting `run(helper)` (or a default
+ * function) from a directory in file name order. A module may export
+ * `tables`, the tables it fills, so they can be truncated first.
+ */
+class Seeder {
+  constructor(db, options = {}) {
+    const { directory = './seeds' } = options;
+
+    this.db = db;
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Run the seeds, or only those named in `only`; returns the names run.
+   * `truncate: true` empties every table the selected seeds declare (an
+   * array names the tables explicitly) with foreign key checks disabled.
+   */
+  async run(options = {}) {
+    const { only = null, truncate = false } = options;
+    let seeds = await this._load();
+    if (only) {
+      const names = new Set([].concat(only));
+      const unknown = [...names].filter(name => !seeds.some(seed => seed.name === name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown seed(s): ${unknown.join(', ')}`);
+      }
+      seeds = seeds.filter(seed => names.has(seed.name));
+    }
+
+    if (truncate) {
+      const tables = Array.isArray(truncate) ? truncate : seeds.flatMap(seed => seed.module.tables || []);
+      await this.truncate(tables);
+    }
+
+    for (const { name, module } of seeds) {
+      const run = typeof module.run === 'function' ? module.run : module.default;
+      if (typeof run !== 'function') {
+        throw new Error(`Seed ${name} does not export run()`);
+      }
+
+      const startTime = Date.now();
+      try {
+        await run(this.db);
+      } catch (error) {
+        this.db.emit('seedFailed', { name, error: error.message });
+        const wrapped = new Error(`Seed ${name} failed: ${error.message}`);
+        wrapped.cause = error;
+        throw wrapped;
+      }
+      this.db.emit('seedRun', { name, duration: Date.now() - startTime });
+    }
+    return seeds.map(seed => seed.name);
+  }
+
+  /**
+   * Truncate `tables` on one connection with FOREIGN_KEY_CHECKS off, so
+   * referencing tables can be emptied in any order. The setting is
+   * per-session, hence the dedicated connection.
+   */
+  async truncate(tables) {
+    const unique = [...new Set(tables)];
+    if (unique.length === 0) {
+      return;
+    }
+
+    const conn = await this.db.getConnection();
+    try {
+      await conn.query('SET FOREIGN_KEY_CHECKS = 0');
+      try {
+        for (const table of unique) {
+          await conn.query(`TRUNCATE TABLE ${quoteIdentifier(table)}`);
+          this.db.emit('tableTruncated', { table });
+        }
+      } finally {
+        await conn.query('SET FOREIGN_KEY_CHECKS = 1');
+      }
+    } finally {
+      if (this.db.pool && conn.release && conn !== this.db._conn) {
+        conn.release();
+      }
+    }
+    await this.db.invalidateTable(unique);
+  }
+
+  async _load() {
+    return await loadModules(this.directory, SEED_FILE);
+  }
+}
+
+export default Seeder;
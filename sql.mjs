@@ -0,0 +1,519 @@
+/**
+ * SQL fragment helpers: identifier quoting/validation and raw expressions
+ */
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+const ALIAS_PATTERN = /^(.+?)\s+(?:AS\s+)?(`?[A-Za-z_][A-Za-z0-9_$]*`?)$/i;
+const MAX_IDENTIFIER_LENGTH = 64;
+
+const OPERATORS = new Set([
+  '=', '!=', '<>', '<', '>', '<=', '>=', '<=>',
+  'LIKE', 'NOT LIKE', 'REGEXP', 'NOT REGEXP'
+]);
+
+const DIRECTIONS = new Set(['ASC', 'DESC']);
+
+/**
+ * Trusted SQL fragment that is inserted into a statement verbatim
+ */
+class Raw {
+  constructor(sql, params = []) {
+    if (typeof sql !== 'string') {
+      throw new Error('raw() expects a SQL string');
+    }
+    this.sql = sql;
+    this.params = params;
+  }
+
+  toString() {
+    return this.sql;
+  }
+}
+
+/**
+ * Mark a SQL fragment as trusted so it bypasses identifier validation
+ */
+function raw(sql, params = []) {
+  return new Raw(sql, params);
+}
+
+function isRaw(value) {
+  return value instanceof Raw;
+}
+
+/**
+ * Anything that compiles itself to `{ sql, params }`, such as a QueryBuilder
+ */
+function isSubquery(value) {
+  return value !== null && typeof value === 'object' && typeof value.toSQL === 'function';
+}
+
+/**
+ * Compile a subquery to a parenthesized fragment and collect its parameters
+ */
+function subquerySql(query, params) {
+  const compiled = query.toSQL();
+  params.push(...compiled.params);
+  return `(${compiled.sql})`;
+}
+
+function _rawSql(fragment, params) {
+  if (fragment.params.length > 0) {
+    if (!params) {
+      throw new Error(`raw() parameters are not supported here: ${fragment.sql}`);
+    }
+    params.push(...fragment.params);
+  }
+  return fragment.sql;
+}
+
+function _quoteSegment(segment, identifier, allowStar) {
+  if (allowStar && segment === '*') {
+    return '*';
+  }
+
+  const name = segment.startsWith('`') && segment.endsWith('`') && segment.length > 2
+    ? segment.slice(1, -1)
+    : segment;
+
+  if (!IDENTIFIER_PATTERN.test(name) || name.length > MAX_IDENTIFIER_LENGTH) {
+    throw new Error(`Invalid SQL identifier "${identifier}": use raw() for SQL expressions`);
+  }
+  return `\`${name}\``;
+}
+
+/**
+ * Validate and backtick-quote an identifier such as `col`, `table.col` or `db.table`.
+ *
+ * Options:
+ * - allowStar: accept `*` and `table.*`
+ * - allowAlias: accept a trailing alias (`users u`, `users AS u`)
+ * - allowlist: names the identifier (or its last segment) must appear in
+ * - params: array receiving the parameters of a raw() fragment
+ */
+function quoteIdentifier(identifier, options = {}) {
+  const { allowStar = false, allowAlias = false, allowlist = null, params = null } = options;
+
+  if (isRaw(identifier)) {
+    return _rawSql(identifier, params);
+  }
+
+  if (typeof identifier !== 'string' || identifier.trim() === '') {
+    throw new Error(`Invalid SQL identifier: ${JSON.stringify(identifier)}`);
+  }
+
+  let name = identifier.trim();
+  let alias = null;
+
+  if (allowAlias) {
+    const match = name.match(ALIAS_PATTERN);
+    if (match) {
+      name = match[1];
+      alias = match[2];
+    }
+  }
+
+  const segments = name.split('.');
+  if (segments.length > 3) {
+    throw new Error(`Invalid SQL identifier "${identifier}": too many segments`);
+  }
+
+  const quoted = segments
+    .map((segment, i) => _quoteSegment(segment, identifier, allowStar && i === segments.length - 1))
+    .join('.');
+
+  if (allowlist && !quoted.endsWith('*')) {
+    const column = segments[segments.length - 1].replace(/`/g, '');
+    const bare = name.replace(/`/g, '');
+    if (!allowlist.includes(bare) && !allowlist.includes(column)) {
+      throw new Error(`Identifier "${identifier}" is not in the list of allowed columns`);
+    }
+  }
+
+  return alias ? `${quoted} AS ${_quoteSegment(alias, identifier, false)}` : quoted;
+}
+
+/**
+ * Quote a column list given as '*', a comma-separated string, an array or raw()
+ */
+function columnList(columns, options = {}) {
+  const list = typeof columns === 'string' ? columns.split(',') : [].concat(columns);
+  return list
+    .map(column => quoteIdentifier(column, { allowStar: true, allowAlias: true, ...options }))
+    .join(', ');
+}
+
+/**
+ * Validate a sort direction and return it upper-cased
+ */
+function sortDirection(direction = 'ASC') {
+  const normalized = String(direction).trim().toUpperCase();
+  if (!DIRECTIONS.has(normalized)) {
+    throw new Error(`Invalid sort direction "${direction}": expected ASC or DESC`);
+  }
+  return normalized;
+}
+
+/**
+ * Compile an ORDER BY list given as 'col DESC, col2', [['col', 'desc'], 'col2'] or raw()
+ */
+function orderByList(orderBy, options = {}) {
+  if (isRaw(orderBy)) {
+    return _rawSql(orderBy, options.params);
+  }
+
+  const items = typeof orderBy === 'string' ? orderBy.split(',') : orderBy;
+  return items
+    .map(item => {
+      if (isRaw(item)) {
+        return _rawSql(item, options.params);
+      }
+      let column = item;
+      let direction = 'ASC';
+      if (Array.isArray(item)) {
+        [column, direction = 'ASC'] = item;
+      } else {
+        const match = item.trim().match(/^(\S+)(?:\s+(\S+))?$/);
+        if (!match) {
+          throw new Error(`Invalid ORDER BY item "${item}": use raw() for SQL expressions`);
+        }
+        [, column, direction = 'ASC'] = match;
+      }
+      return `${quoteIdentifier(column, options)} ${sortDirection(direction)}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Validate a simple function call such as ROW_NUMBER(), SUM(total) or
+ * LAG(price, 1) and quote its column arguments. Anything more complex has
+ * to be passed as raw().
+ */
+function functionCall(expression, options = {}) {
+  if (isRaw(expression)) {
+    return _rawSql(expression, options.params);
+  }
+
+  const match = typeof expression === 'string' && expression.trim().match(/^([A-Za-z_][A-Za-z0-9_]*)\s*\((.*)\)$/);
+  if (!match) {
+    throw new Error(`Invalid function call "${expression}": use raw() for SQL expressions`);
+  }
+
+  const [, name, argList] = match;
+  const args = argList.trim() === ''
+    ? []
+    : argList.split(',').map(arg => {
+      const value = arg.trim();
+      if (value === '*' || /^\d+$/.test(value)) {
+        return value;
+      }
+      return quoteIdentifier(value);
+    });
+
+  return `${name.toUpperCase()}(${args.join(', ')})`;
+}
+
+/**
+ * Validate a comparison operator and return it upper-cased
+ */
+function comparisonOperator(operator) {
+  const normalized = String(operator).trim().replace(/\s+/g, ' ').toUpperCase();
+  if (!OPERATORS.has(normalized)) {
+    throw new Error(`Invalid comparison operator "${operator}"`);
+  }
+  return normalized;
+}
+
+const WHERE_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notLike: 'NOT LIKE'
+};
+
+const WHERE_OPERATOR_NAMES = new Set([
+  ...Object.keys(WHERE_OPERATORS),
+  'in', 'notIn', 'between', 'notBetween', 'isNull'
+]);
+
+function _isOperatorObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !isRaw(value)
+    && !isSubquery(value)
+    && !(value instanceof Date)
+    && !Buffer.isBuffer(value);
+}
+
+function _placeholder(value, params) {
+  if (isRaw(value)) {
+    return _rawSql(value, params);
+  }
+  if (isSubquery(value)) {
+    return subquerySql(value, params);
+  }
+  params.push(value);
+  return '?';
+}
+
+function _list(values, params) {
+  return values.map(value => _placeholder(value, params)).join(', ');
+}
+
+function _compileOperator(column, operator, value, params) {
+  if (!WHERE_OPERATOR_NAMES.has(operator)) {
+    throw new Error(`Unknown where operator "${operator}" on ${column}`);
+  }
+  // An undefined value would bind as NULL and silently match nothing (or,
+  // under NOT, everything), which is almost always a caller bug
+  if (value === undefined) {
+    throw new Error(`Undefined value for where operator "${operator}" on ${column}`);
+  }
+  switch (operator) {
+    case 'eq':
+      return value === null ? `${column} IS NULL` : `${column} = ${_placeholder(value, params)}`;
+    case 'ne':
+      return value === null ? `${column} IS NOT NULL` : `${column} != ${_placeholder(value, params)}`;
+    case 'in':
+    case 'notIn': {
+      if (isSubquery(value)) {
+        return `${column} ${operator === 'in' ? 'IN' : 'NOT IN'} ${subquerySql(value, params)}`;
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`Where operator "${operator}" on ${column} expects an array`);
+      }
+      // An empty IN list matches nothing; an empty NOT IN list matches everything
+      if (value.length === 0) {
+        return operator === 'in' ? '1 = 0' : '1 = 1';
+      }
+      return `${column} ${operator === 'in' ? 'IN' : 'NOT IN'} (${_list(value, params)})`;
+    }
+    case 'between':
+    case 'notBetween': {
+      if (!Array.isArray(value) || value.length !== 2) {
+        throw new Error(`Where operator "${operator}" on ${column} expects a [min, max] pair`);
+      }
+      const keyword = operator === 'between' ? 'BETWEEN' : 'NOT BETWEEN';
+      return `${column} ${keyword} ${_placeholder(value[0], params)} AND ${_placeholder(value[1], params)}`;
+    }
+    case 'isNull':
+      return `${column} ${value ? 'IS NULL' : 'IS NOT NULL'}`;
+    default:
+      return `${column} ${WHERE_OPERATORS[operator]} ${_placeholder(value, params)}`;
+  }
+}
+
+function _compileCondition(key, value, params, options) {
+  if (key === 'and' || key === 'or') {
+    const groups = Array.isArray(value) ? value : [value];
+    const parts = groups
+      .map(group => _compileGroup(group, params, options, true))
+      .filter(Boolean);
+    if (parts.length === 0) {
+      return '';
+    }
+    return parts.length === 1 ? parts[0] : `(${parts.join(` ${key.toUpperCase()} `)})`;
+  }
+
+  if (key === 'not') {
+    const inner = _compileGroup(value, params, options);
+    return inner ? `NOT (${inner})` : '';
+  }
+
+  const column = quoteIdentifier(key, { allowlist: options.allowlist });
+
+  if (value === undefined) {
+    throw new Error(`Undefined value for ${column} in where object: use null for IS NULL or leave the key out`);
+  }
+  if (value === null) {
+    return `${column} IS NULL`;
+  }
+  if (Array.isArray(value)) {
+    return _compileOperator(column, 'in', value, params);
+  }
+  if (!_isOperatorObject(value)) {
+    return `${column} = ${_placeholder(value, params)}`;
+  }
+
+  const conditions = Object.keys(value).map(operator => _compileOperator(column, operator, value[operator], params));
+  if (conditions.length === 0) {
+    throw new Error(`Empty operator object for ${column}`);
+  }
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+}
+
+function _compileGroup(where, params, options, nested = false) {
+  if (isRaw(where)) {
+    return `(${_rawSql(where, params)})`;
+  }
+
+  const conditions = Object.keys(where)
+    .map(key => _compileCondition(key, where[key], params, options))
+    .filter(Boolean);
+
+  if (conditions.length <= 1) {
+    return conditions[0] || '';
+  }
+  return nested ? `(${conditions.join(' AND ')})` : conditions.join(' AND ');
+}
+
+/**
+ * Compile a where object into a parameterized condition.
+ *
+ * Grammar:
+ * - `{ col: value }` equality, `{ col: null }` IS NULL, `{ col: [a, b] }` IN
+ * - `{ col: { gt: 1, lte: 5 } }` with eq, ne, gt, gte, lt, lte, in, notIn,
+ *   like, notLike, between, notBetween and isNull
+ * - `{ or: [{...}, {...}] }`, `{ and: [...] }` and `{ not: {...} }` groups
+ *
+ * Undefined values throw rather than binding NULL.
+ *
+ * Returns `{ sql, params }`; `sql` is empty when there are no conditions.
+ */
+function compileWhere(where = {}, options = {}) {
+  const params = [];
+  if (!where || (typeof where === 'object' && !isRaw(where) && Object.keys(where).length === 0)) {
+    return { sql: '', params };
+  }
+
+  return { sql: _compileGroup(where, params, options), params };
+}
+
+/**
+ * Validate a LIMIT/OFFSET value and return it as a number
+ */
+function nonNegativeInteger(value, label) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${label} "${value}": expected a non-negative integer`);
+  }
+  return number;
+}
+
+const READ_STATEMENT = /^\s*\(*\s*(?:SELECT|SHOW|DESCRIBE|DESC|EXPLAIN)\b/i;
+const WRITE_KEYWORD = /\b(?:INSERT|UPDATE|DELETE|REPLACE)\b/i;
+
+const TABLE_NAME = '(?:`[^`]+`|[A-Za-z_][\\w$]*)';
+const QUALIFIED_TABLE_NAME = `${TABLE_NAME}(?:\\s*\\.\\s*${TABLE_NAME})?`;
+const DESCRIBE_STATEMENT = new RegExp(`^\\s*(?:DESCRIBE|DESC|EXPLAIN)\\s+(${QUALIFIED_TABLE_NAME})\\s*$`, 'i');
+
+// Words that may follow a table name but are not its alias
+const NOT_AN_ALIAS = [
+  'WHERE', 'SET', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'CROSS', 'NATURAL', 'STRAIGHT_JOIN',
+  'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'UNION', 'FOR', 'LOCK', 'PARTITION', 'VALUES', 'VALUE',
+  'SELECT', 'WITH', 'USE', 'IGNORE', 'FORCE', 'INTO', 'AS', 'TO'
+].join('|');
+
+// Keywords (with their optional modifiers) followed by a table, or by a
+// comma-separated list of tables; a derived table's alias and comma also
+// continue a list
+const TABLE_LIST_START = new RegExp([
+  '\\b(?:FROM|JOIN',
+  'UPDATE(?:\\s+LOW_PRIORITY)?(?:\\s+IGNORE)?',
+  '(?:INSERT|REPLACE)(?:\\s+(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY))?(?:\\s+IGNORE)?(?:\\s+INTO)?',
+  'INTO(?:\\s+TABLE)?',
+  'TABLE(?:\\s+IF(?:\\s+NOT)?\\s+EXISTS)?',
+  `INDEX\\s+${TABLE_NAME}\\s+ON)\\s+`,
+  `\\)\\s*(?:AS\\s+)?(?!(?:${NOT_AN_ALIAS})\\b)${TABLE_NAME}\\s*,\\s*`
+].join('|'), 'gi');
+
+// One table of a list, with an optional alias, and the comma continuing the list
+const TABLE_LIST_ITEM = new RegExp(
+  `(${QUALIFIED_TABLE_NAME})(?:\\s+(?:AS\\s+)?(?!(?:${NOT_AN_ALIAS})\\b)${TABLE_NAME})?\\s*(,\\s*)?`,
+  'iy'
+);
+
+// The only SHOW statements that read a single table; other SHOW statements
+// (SHOW TABLES, SHOW STATUS, ...) read server or schema state
+const SHOW_STATEMENT = /^\s*SHOW\b/i;
+const SHOW_TABLE_STATEMENT = /^\s*SHOW\s+(?:(?:FULL\s+)?(?:COLUMNS|FIELDS)|INDEX|INDEXES|KEYS|CREATE\s+TABLE)\b/i;
+
+const SYSTEM_SCHEMAS = ['information_schema', 'performance_schema', 'mysql', 'sys'];
+
+// Statements that change session state only
+const SESSION_STATEMENT = /^\s*(?:SET|USE|SAVEPOINT|RELEASE|ROLLBACK|COMMIT|BEGIN|START\s+TRANSACTION|(?:UN)?LOCK\s+TABLES?|DO)\b/i;
+
+/**
+ * Whether a statement only reads (SELECT, SHOW, ..., or a WITH query ending
+ * in a SELECT), so it may be cached, retried and sent to a replica
+ */
+function isReadStatement(sql) {
+  if (READ_STATEMENT.test(sql)) {
+    return true;
+  }
+  return /^\s*WITH\b/i.test(sql) && !WRITE_KEYWORD.test(sql);
+}
+
+/**
+ * Whether a statement only changes session state (SET, SAVEPOINT, COMMIT,
+ * ...), so it writes no table
+ */
+function isSessionStatement(sql) {
+  return SESSION_STATEMENT.test(sql);
+}
+
+/**
+ * Lowercased names of the tables a statement reads or writes (schema
+ * prefixes dropped): the tables listed after FROM, JOIN, UPDATE, INSERT,
+ * REPLACE, INTO, TABLE and INDEX ... ON, or the table described. Used for
+ * cache tags, so listing an extra table is harmless but missing one is not:
+ * an empty array means the tables are unknown (SHOW TABLES, system schema
+ * reads, SELECT without FROM), and such reads must not be cached nor such
+ * writes be invalidated by table.
+ */
+function referencedTables(sql) {
+  if (SHOW_STATEMENT.test(sql) && !SHOW_TABLE_STATEMENT.test(sql)) {
+    return [];
+  }
+
+  const names = [];
+  const described = sql.match(DESCRIBE_STATEMENT);
+  if (described) {
+    names.push(described[1]);
+  }
+  for (const start of sql.matchAll(TABLE_LIST_START)) {
+    TABLE_LIST_ITEM.lastIndex = start.index + start[0].length;
+    let item;
+    while ((item = TABLE_LIST_ITEM.exec(sql))) {
+      names.push(item[1]);
+      if (!item[2]) {
+        break;
+      }
+    }
+  }
+
+  const tables = new Set();
+  for (const name of names) {
+    const [table, schema] = name.split('.').map(part => part.trim().replace(/`/g, '').toLowerCase()).reverse();
+    if (SYSTEM_SCHEMAS.includes(schema)) {
+      // No write through the helper invalidates these
+      return [];
+    }
+    tables.add(table);
+  }
+  return [...tables];
+}
+
+export {
+  Raw,
+  raw,
+  isRaw,
+  isSubquery,
+  subquerySql,
+  quoteIdentifier,
+  columnList,
+  sortDirection,
+  orderByList,
+  comparisonOperator,
+  functionCall,
+  nonNegativeInteger,
+  compileWhere,
+  isReadStatement,
+  isSessionStatement,
+  referencedTables
+};
@@ -0,0 +1,67 @@
+import { referencedTables } from '../sql.mjs';
+import { stubHelper } from './stubs.js';
+
+describe('referencedTables()', () => {
+  test.each([
+    ['SELECT * FROM a, b WHERE a.id = b.id', ['a', 'b']],
+    ['SELECT * FROM `shop`.`a` x, b AS y JOIN c ON c.id = x.id', ['a', 'b', 'c']],
+    ['SELECT * FROM (SELECT id FROM a) d, b', ['a', 'b']],
+    ['UPDATE a, b SET a.total = b.total WHERE a.id = b.id', ['a', 'b']],
+    ['INSERT users (name) VALUES (?)', ['users']],
+    ['INSERT IGNORE INTO users SET name = ?', ['users']],
+    ['REPLACE INTO users VALUES (?)', ['users']],
+    ['CREATE UNIQUE INDEX `idx_email` ON `users` (`email`)', ['users']],
+    ['DROP INDEX idx_email ON users', ['users']],
+    ["LOAD DATA INFILE 'users.csv' INTO TABLE users FIELDS TERMINATED BY ','", ['users']],
+    ['DROP TABLE IF EXISTS a, b', ['a', 'b']],
+    ['SHOW INDEX FROM `users`', ['users']],
+    ['DESCRIBE users', ['users']]
+  ])('%s', (sql, tables) => {
+    expect(referencedTables(sql)).toEqual(tables);
+  });
+
+  test.each([
+    'SHOW TABLES LIKE ?',
+    'SELECT * FROM information_schema.TABLES WHERE TABLE_NAME = ?',
+    'SELECT NOW()'
+  ])('finds no table in %s', (sql) => {
+    expect(referencedTables(sql)).toEqual([]);
+  });
+});
+
+describe('query cache', () => {
+  let db;
+  let rows;
+
+  beforeEach(() => {
+    rows = [{ id: 1 }];
+    db = stubHelper(sql => (/^\s*(SELECT|SHOW)/i.test(sql) ? rows : { affectedRows: 1 }), { cache: true });
+  });
+
+  test('does not cache reads whose tables are unknown', async () => {
+    await db.query('SHOW TABLES LIKE ?', ['users']);
+    await db.query('SHOW TABLES LIKE ?', ['users']);
+    expect(db.pool.log).toHaveLength(2);
+  });
+
+  test('invalidates every table of a comma-separated list', async () => {
+    await db.query('SELECT * FROM b');
+    await db.query('UPDATE a, b SET a.total = b.total WHERE a.id = b.id');
+    await db.query('SELECT * FROM b');
+    expect(db.pool.log).toHaveLength(3);
+  });
+
+  test('clears the whole cache on writes whose tables are unknown', async () => {
+    await db.query('SELECT * FROM users');
+    await db.query('CALL refresh_totals()');
+    await db.query('SELECT * FROM users');
+    expect(db.pool.log).toHaveLength(3);
+  });
+
+  test('keeps the cache on session statements', async () => {
+    await db.query('SELECT * FROM users');
+    await db.query('SET time_zone = ?', ['+00:00']);
+    await db.query('SELECT * FROM users');
+    expect(db.pool.log).toHaveLength(2);
+  });
+});
@@ -0,0 +1,81 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryCacheStore, FileCacheStore } from '../cache.mjs';
+
+describe('MemoryCacheStore', () => {
+  test('callers mutating a result do not change later hits', async () => {
+    const store = new MemoryCacheStore();
+    const rows = [{ id: 1, tags: ['a'], created_at: new Date(0), data: Buffer.from('x') }];
+    await store.set('key', rows, { ttl: 1000 });
+
+    rows[0].id = 2;
+    const first = await store.get('key');
+    first[0].tags.push('b');
+    first.push({ id: 3 });
+
+    const second = await store.get('key');
+    expect(second).toEqual([{ id: 1, tags: ['a'], created_at: new Date(0), data: Buffer.from('x') }]);
+    expect(Buffer.isBuffer(second[0].data)).toBe(true);
+  });
+});
+
+describe('FileCacheStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mysql2-helper-cache-'));
+    store = new FileCacheStore({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('delByTag keeps markers written after it listed the tag', async () => {
+    await store.set('old', [1], { ttl: 1000, tags: ['users'] });
+
+    // A set() landing between readdir() and the marker removal
+    const readdir = fs.readdir;
+    fs.readdir = async (...args) => {
+      const listed = await readdir(...args);
+      await store.set('new', [2], { ttl: 1000, tags: ['users'] });
+      return listed;
+    };
+    try {
+      expect(await store.delByTag('users')).toBe(1);
+    } finally {
+      fs.readdir = readdir;
+    }
+
+    expect(await store.get('old')).toBeUndefined();
+    expect(await store.delByTag('users')).toBe(1);
+    expect(await store.get('new')).toBeUndefined();
+  });
+
+  test('set writes the tag markers before the entry appears', async () => {
+    // A delByTag() running while set() renames the entry into place
+    const rename = fs.rename;
+    let removed;
+    fs.rename = async (...args) => {
+      removed = await store.delByTag('users');
+      return rename(...args);
+    };
+    try {
+      await store.set('key', [1], { ttl: 1000, tags: ['users'] });
+    } finally {
+      fs.rename = rename;
+    }
+
+    expect(removed).toBe(1);
+  });
+
+  test('concurrent sets of the same key do not collide on the temporary file', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.set('key', [i], { ttl: 1000 })));
+    const [value] = await store.get('key');
+    expect(value).toBeGreaterThanOrEqual(0);
+    const files = await fs.readdir(path.join(directory, 'entries'));
+    expect(files.filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+});
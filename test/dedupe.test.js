@@ -0,0 +1,53 @@
+import { stubHelper } from './stubs.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('query() coalescing', () => {
+  let version;
+  let respond;
+
+  beforeEach(() => {
+    version = 1;
+    // Slow enough for the concurrent reads to overlap
+    respond = async () => {
+      const rows = [{ version }];
+      await tick(10);
+      return rows;
+    };
+  });
+
+  test('concurrent cache misses share one database call', async () => {
+    const db = stubHelper(respond, { cache: true });
+    const deduplicated = [];
+    db.on('queryDeduplicated', event => deduplicated.push(event));
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => db.query('SELECT * FROM settings')));
+
+    expect(results).toEqual(Array.from({ length: 5 }, () => [{ version: 1 }]));
+    expect(db.pool.log).toHaveLength(1);
+    expect(deduplicated).toHaveLength(4);
+  });
+
+  test('dedupe: false runs every miss', async () => {
+    const db = stubHelper(respond, { cache: true, dedupe: false });
+
+    await Promise.all(Array.from({ length: 3 }, () => db.query('SELECT * FROM settings')));
+
+    expect(db.pool.log).toHaveLength(3);
+  });
+
+  test.each([true, false])('stale hits start a single background refresh (dedupe: %s)', async (dedupe) => {
+    const db = stubHelper(respond, { cache: true, dedupe, cacheTTL: 100, cacheStaleWhileRevalidate: 10000 });
+    await db.query('SELECT * FROM settings');
+    await tick(110);
+    version = 2;
+
+    const stale = await Promise.all(Array.from({ length: 5 }, () => db.query('SELECT * FROM settings')));
+    expect(stale).toEqual(Array.from({ length: 5 }, () => [{ version: 1 }]));
+
+    await tick(40);
+    expect(db.pool.log).toHaveLength(2);
+    expect(await db.query('SELECT * FROM settings')).toEqual([{ version: 2 }]);
+    expect(db.pool.log).toHaveLength(2);
+  });
+});
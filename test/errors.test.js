@@ -0,0 +1,46 @@
+import { DeadlockError, DuplicateEntryError, QueryError } from '../index.mjs';
+import { stubHelper } from './stubs.js';
+
+function driverError(code, message) {
+  return Object.assign(new Error(message), { code, errno: 1213, sqlState: '40001', sqlMessage: message });
+}
+
+describe('callProcedure()', () => {
+  test('rethrows the classified QueryError subclass', async () => {
+    const db = stubHelper(() => {
+      throw driverError('ER_LOCK_DEADLOCK', 'Deadlock found when trying to get lock');
+    });
+
+    const error = await db.callProcedure('settle_orders', [1]).catch(e => e);
+
+    expect(error).toBeInstanceOf(DeadlockError);
+    expect(error.message).toBe("Stored procedure 'settle_orders' failed: Deadlock found when trying to get lock");
+    expect(error.code).toBe('ER_LOCK_DEADLOCK');
+    expect(error.sql).toBe('CALL `settle_orders`(?)');
+    expect(error.params).toEqual([1]);
+  });
+
+  test('classifies errors as query() does', async () => {
+    const db = stubHelper(() => {
+      throw driverError('ER_DUP_ENTRY', "Duplicate entry '1' for key 'PRIMARY'");
+    });
+
+    const error = await db.callProcedure('create_user').catch(e => e);
+
+    expect(error).toBeInstanceOf(DuplicateEntryError);
+    expect(error).toBeInstanceOf(QueryError);
+  });
+
+  test('builds the message from the driver error without a server message', async () => {
+    const lost = Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+    const db = stubHelper(() => {
+      throw lost;
+    });
+
+    const error = await db.callProcedure('settle_orders').catch(e => e);
+
+    expect(error.message).toBe("Stored procedure 'settle_orders' failed: read ECONNRESET");
+    expect(error.sqlMessage).toBe('read ECONNRESET');
+    expect(error.cause).toBe(lost);
+  });
+});
@@ -0,0 +1,49 @@
+import { stubHelper } from './stubs.js';
+
+describe('factory().create()', () => {
+  let db;
+  let nextId;
+
+  beforeEach(() => {
+    nextId = 1;
+    db = stubHelper((sql, params) => {
+      if (/@@auto_increment_increment/.test(sql)) {
+        return [{ step: 2 }];
+      }
+      const rows = (sql.match(/\(\?[?, ]*\)/g) || []).length;
+      const result = { insertId: nextId, affectedRows: rows };
+      nextId += rows * 2;
+      return result;
+    });
+  });
+
+  test('leaves out missing columns so their DEFAULT applies', async () => {
+    db.factory('users', ({ index }) => (index === 1 ? { name: 'b', role: 'admin' } : { name: 'a' }));
+
+    await db.factory('users').create(3);
+
+    const inserts = db.pool.statements().filter(sql => sql.startsWith('INSERT'));
+    expect(inserts).toHaveLength(2);
+    expect(inserts[0]).toMatch(/\(`name`\) VALUES \(\?\), \(\?\)$/);
+    expect(inserts[1]).toMatch(/\(`name`, `role`\) VALUES \(\?, \?\)$/);
+    expect(inserts.join(' ')).not.toMatch(/NULL/);
+  });
+
+  test('steps ids by auto_increment_increment and keeps the row order', async () => {
+    db.factory('users', ({ index }) => (index === 1 ? { name: 'b', role: 'admin' } : { name: 'a' }));
+
+    const rows = await db.factory('users').create(3);
+
+    expect(rows.map(row => row.id)).toEqual([1, 5, 3]);
+    expect(rows.map(row => row.name)).toEqual(['a', 'b', 'a']);
+  });
+
+  test('does not look up the step when every row has its id', async () => {
+    db.factory('users', ({ sequence: n }) => ({ id: n * 10, name: 'a' }));
+
+    const rows = await db.factory('users').create(2);
+
+    expect(rows.map(row => row.id)).toEqual([10, 20]);
+    expect(db.pool.statements().some(sql => /@@auto_increment_increment/.test(sql))).toBe(false);
+  });
+});
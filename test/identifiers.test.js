@@ -0,0 +1,80 @@
+import { quoteIdentifier, columnList, orderByList, raw } from '../sql.mjs';
+
+describe('quoteIdentifier()', () => {
+  test.each([
+    ['id', '`id`'],
+    ['users.id', '`users`.`id`'],
+    ['app.users.id', '`app`.`users`.`id`'],
+    ['`users`.`id`', '`users`.`id`']
+  ])('quotes %s', (identifier, quoted) => {
+    expect(quoteIdentifier(identifier)).toBe(quoted);
+  });
+
+  test('accepts * and table.* only with allowStar', () => {
+    expect(quoteIdentifier('*', { allowStar: true })).toBe('*');
+    expect(quoteIdentifier('users.*', { allowStar: true })).toBe('`users`.*');
+    expect(() => quoteIdentifier('*')).toThrow(/Invalid SQL identifier/);
+    expect(() => quoteIdentifier('*.id', { allowStar: true })).toThrow(/Invalid SQL identifier/);
+  });
+
+  test('accepts an alias only with allowAlias', () => {
+    expect(quoteIdentifier('users u', { allowAlias: true })).toBe('`users` AS `u`');
+    expect(quoteIdentifier('users.name as author', { allowAlias: true })).toBe('`users`.`name` AS `author`');
+    expect(() => quoteIdentifier('users u')).toThrow(/Invalid SQL identifier/);
+  });
+
+  test.each([
+    'id`; DROP TABLE users; --',
+    'id) --',
+    '`a`b`',
+    'a.b.c.d',
+    'name; DELETE FROM users',
+    '1id',
+    'a'.repeat(65),
+    '',
+    '  '
+  ])('rejects %j', (identifier) => {
+    expect(() => quoteIdentifier(identifier, { allowStar: true, allowAlias: true })).toThrow(/Invalid SQL identifier/);
+  });
+
+  test('rejects names missing from the allowlist', () => {
+    expect(quoteIdentifier('users.email', { allowlist: ['email'] })).toBe('`users`.`email`');
+    expect(() => quoteIdentifier('password', { allowlist: ['email'] })).toThrow(/not in the list of allowed columns/);
+  });
+
+  test('passes raw() through unchanged and collects its parameters', () => {
+    const params = [];
+    expect(quoteIdentifier(raw('COUNT(*)'))).toBe('COUNT(*)');
+    expect(quoteIdentifier(raw('JSON_EXTRACT(meta, ?)', ['$.a']), { params })).toBe('JSON_EXTRACT(meta, ?)');
+    expect(params).toEqual(['$.a']);
+    expect(() => quoteIdentifier(raw('IF(?, 1, 0)', [true]))).toThrow(/parameters are not supported/);
+  });
+});
+
+describe('columnList()', () => {
+  test('quotes every column of a string or array list', () => {
+    expect(columnList('*')).toBe('*');
+    expect(columnList('id, users.name AS author, orders.*')).toBe('`id`, `users`.`name` AS `author`, `orders`.*');
+    expect(columnList(['id', raw('COUNT(*) AS total')])).toBe('`id`, COUNT(*) AS total');
+  });
+
+  test('rejects expressions smuggled into the list', () => {
+    expect(() => columnList('id, (SELECT password FROM users) AS p')).toThrow(/Invalid SQL identifier/);
+    expect(() => columnList(['id`, `password'])).toThrow(/Invalid SQL identifier/);
+  });
+});
+
+describe('orderByList()', () => {
+  test('quotes columns and validates directions', () => {
+    expect(orderByList('name DESC, id')).toBe('`name` DESC, `id` ASC');
+    expect(orderByList([['created_at', 'desc'], 'id'])).toBe('`created_at` DESC, `id` ASC');
+    expect(orderByList(raw('FIELD(status, ?, ?)', ['a', 'b']), { params: [] })).toBe('FIELD(status, ?, ?)');
+  });
+
+  test('rejects injection through the column or direction', () => {
+    expect(() => orderByList('id; DROP TABLE users')).toThrow();
+    expect(() => orderByList('id DESC, (SELECT 1)')).toThrow();
+    expect(() => orderByList([['id', 'DESC; DROP TABLE users']])).toThrow(/Invalid sort direction/);
+    expect(() => orderByList('id) --')).toThrow();
+  });
+});
@@ -0,0 +1,78 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { stubHelper } from './stubs.js';
+
+function respond(sql) {
+  if (/GET_LOCK/.test(sql)) return [{ acquired: 1 }];
+  if (/^\s*SELECT/.test(sql)) return [];
+  return { affectedRows: 1 };
+}
+
+describe('Migrator', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mysql2-helper-migrations-'));
+    await fs.writeFile(path.join(directory, '20240101000000_create_users.mjs'), `
+      export async function up(db) { await db.query('CREATE TABLE users (id INT)'); }
+      export async function down(db) { await db.query('DROP TABLE users'); }
+    `);
+    await fs.writeFile(path.join(directory, '20240102000000_seed_roles.mjs'), `
+      export const transaction = false;
+      export async function up(db) { await db.query('INSERT INTO roles (name) VALUES (?)', ['admin']); }
+      export async function down(db) { await db.query('DELETE FROM roles'); }
+    `);
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('migrates with a single pool connection', async () => {
+    const db = stubHelper(respond, { connectionLimit: 1 });
+
+    const applied = await db.migrator({ directory }).migrate();
+
+    expect(applied).toEqual(['20240101000000_create_users', '20240102000000_seed_roles']);
+    expect(new Set(db.pool.log.map(entry => entry.threadId))).toEqual(new Set([1]));
+    expect(db.pool.statements()).toEqual(expect.arrayContaining([
+      'START TRANSACTION',
+      'CREATE TABLE users (id INT)',
+      'INSERT INTO `schema_migrations` (name, batch) VALUES (?, ?)',
+      'COMMIT',
+      'SELECT RELEASE_LOCK(?)'
+    ]));
+    expect(db.pool._freeConnections).toHaveLength(1);
+  });
+});
+
+describe('Migrator#status()', () => {
+  test('does not create the tracking table', async () => {
+    const db = stubHelper(sql => (/^SHOW TABLES/.test(sql) ? [] : respond(sql)));
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mysql2-helper-migrations-'));
+    await fs.writeFile(path.join(directory, '20240101000000_create_users.mjs'), 'export async function up() {}');
+
+    try {
+      const status = await db.migrator({ directory }).status();
+
+      expect(status).toEqual([{ name: '20240101000000_create_users', applied: false, batch: null, migratedAt: null }]);
+      expect(db.pool.statements()).toEqual(['SHOW TABLES LIKE ?']);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('reads the applied migrations when the table exists', async () => {
+    const migratedAt = new Date('2024-01-01T00:00:00Z');
+    const db = stubHelper((sql) => {
+      if (/^SHOW TABLES/.test(sql)) return [{ table: 'schema_migrations' }];
+      return [{ name: '20230101000000_gone', batch: 1, migrated_at: migratedAt }];
+    });
+
+    const status = await db.migrator({ directory: path.join(os.tmpdir(), 'mysql2-helper-no-such-dir') }).status();
+
+    expect(status).toEqual([{ name: '20230101000000_gone', applied: true, batch: 1, migratedAt, missing: true }]);
+    expect(db.pool.statements().some(sql => /CREATE TABLE/.test(sql))).toBe(false);
+  });
+});
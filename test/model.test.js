@@ -0,0 +1,36 @@
+import { stubHelper } from './stubs.js';
+
+describe('json attributes', () => {
+  const define = (row, config = {}) => {
+    const db = stubHelper(() => [row], config);
+    return db.defineModel('Post', { table: 'posts', attributes: { meta: { type: 'json' } } });
+  };
+
+  test('keeps the value mysql2 parsed, including JSON string scalars', async () => {
+    const Post = define({ id: 1, meta: 'hello' });
+
+    const post = await Post.find(1);
+
+    expect(post.meta).toBe('hello');
+    expect(post.isDirty()).toBe(false);
+  });
+
+  test('parses the text when the connection uses jsonStrings', async () => {
+    const Post = define({ id: 1, meta: '{"tags":["a"]}' }, { jsonStrings: true });
+
+    const post = await Post.find(1);
+
+    expect(post.meta).toEqual({ tags: ['a'] });
+  });
+
+  test('changing a loaded value leaves the row alone', async () => {
+    const row = { id: 1, meta: { tags: ['a'] } };
+    const Post = define(row);
+
+    const post = await Post.find(1);
+    post.meta.tags.push('b');
+
+    expect(row.meta).toEqual({ tags: ['a'] });
+    expect(post.isDirty('meta')).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+import { stubHelper } from './stubs.js';
+
+// Rows as mysql2 returns them with nestTables: true
+const joined = [
+  { orders: { id: 1, total: 30 }, customers: { id: 5, name: 'Ann' }, order_items: { id: 10, order_id: 1, product_id: 7 }, products: { id: 7, name: 'Pen' } },
+  { orders: { id: 1, total: 30 }, customers: { id: 5, name: 'Ann' }, order_items: { id: 11, order_id: 1, product_id: 8 }, products: { id: 8, name: 'Ink' } },
+  { orders: { id: 2, total: 0 }, customers: { id: null, name: null }, order_items: { id: null, order_id: null, product_id: null }, products: { id: null, name: null } }
+];
+
+function ordersQuery(db) {
+  return db.queryBuilder()
+    .table('orders')
+    .leftJoin('customers', 'customers.id', '=', 'orders.customer_id')
+    .leftJoin('order_items', 'order_items.order_id', '=', 'orders.id')
+    .leftJoin('products', 'products.id', '=', 'order_items.product_id');
+}
+
+describe('nest()', () => {
+  let db;
+  let statements;
+
+  beforeEach(() => {
+    statements = [];
+    db = stubHelper(() => joined);
+    const execute = db.pool.execute.bind(db.pool);
+    db.pool.execute = db.pool.query = (statement, params) => {
+      statements.push(statement);
+      return execute(statement, params);
+    };
+  });
+
+  test('builds one object per parent row with nested objects and arrays', async () => {
+    const orders = await ordersQuery(db)
+      .nest({ order: 'orders.*', customer: 'customers.*', items: ['order_items.*'] })
+      .get();
+
+    expect(orders).toEqual([
+      {
+        order: { id: 1, total: 30 },
+        customer: { id: 5, name: 'Ann' },
+        items: [{ id: 10, order_id: 1, product_id: 7 }, { id: 11, order_id: 1, product_id: 8 }]
+      },
+      { order: { id: 2, total: 0 }, customer: null, items: [] }
+    ]);
+    expect(statements[0]).toMatchObject({ nestTables: true });
+  });
+
+  test('nests array items further and deduplicates them by id', async () => {
+    db.pool.respond = () => [...joined, joined[0]];
+    const [order] = await ordersQuery(db)
+      .nest({ order: 'orders.*', items: ['order_items.*', { product: 'products.*' }] })
+      .get();
+
+    expect(order.items).toEqual([
+      { id: 10, order_id: 1, product_id: 7, product: { id: 7, name: 'Pen' } },
+      { id: 11, order_id: 1, product_id: 8, product: { id: 8, name: 'Ink' } }
+    ]);
+  });
+
+  test('keys names the column records are deduplicated by', async () => {
+    db.pool.respond = () => [
+      { orders: { order_no: 'A', total: 1 }, order_items: { line: 1 } },
+      { orders: { order_no: 'A', total: 1 }, order_items: { line: 2 } },
+      { orders: { order_no: 'B', total: 2 }, order_items: { line: 1 } }
+    ];
+    const orders = await db.queryBuilder()
+      .table('orders')
+      .join('order_items', 'order_items.order_no', '=', 'orders.order_no')
+      .nest({ order: 'orders.*', items: ['order_items.*'] }, { keys: { orders: 'order_no', order_items: 'line' } })
+      .get();
+
+    expect(orders.map(({ order, items }) => [order.order_no, items.map(item => item.line)])).toEqual([['A', [1, 2]], ['B', [1]]]);
+  });
+
+  test('without a shape, rows stay flat with table__column keys', async () => {
+    const flat = [{ orders__id: 1, customers__id: 5 }];
+    db.pool.respond = () => flat;
+    const rows = await ordersQuery(db).nest().get();
+
+    expect(rows).toEqual(flat);
+    expect(statements[0]).toMatchObject({ nestTables: '__' });
+  });
+
+  test('a table missing from the result names the alias to use', async () => {
+    await expect(ordersQuery(db).nest({ order: 'o.*' }).get())
+      .rejects.toThrow('nest(): "o" is not in the result; use the alias for aliased tables');
+  });
+});
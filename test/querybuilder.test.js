@@ -0,0 +1,326 @@
+import { raw } from '../sql.mjs';
+import { stubHelper } from './stubs.js';
+
+describe('QueryBuilder#cursorPaginate', () => {
+  test('keeps orWhere conditions inside the cursor condition', async () => {
+    const db = stubHelper(sql => (/COUNT\(\*\)/.test(sql) ? [{ count: 3 }] : [{ id: 1 }, { id: 2 }]));
+
+    const first = await db.queryBuilder().table('posts')
+      .where('a', 1)
+      .orWhere('b', 2)
+      .cursorPaginate({ orderBy: [['id', 'ASC']], limit: 1 });
+
+    await db.queryBuilder().table('posts')
+      .where('a', 1)
+      .orWhere('b', 2)
+      .cursorPaginate({ orderBy: [['id', 'ASC']], limit: 1, after: first.pagination.nextCursor });
+
+    const { sql, params } = db.pool.log[db.pool.log.length - 1];
+    expect(sql).toBe(
+      'SELECT * FROM `posts` WHERE (`a` = ? OR `b` = ?) AND ((`id` > ?)) ORDER BY `id` ASC LIMIT 2'
+    );
+    expect(params).toEqual([1, 2, 1]);
+  });
+});
+
+describe('QueryBuilder conditions', () => {
+  const qb = () => stubHelper().queryBuilder().table('users');
+
+  test('groups closures and keeps AND/OR order', () => {
+    const { sql, params } = qb()
+      .where('active', 1)
+      .where(q => q.where('role', 'admin').orWhere('karma', '>', 100))
+      .orWhereNull('deleted_at')
+      .toSQL();
+
+    expect(sql).toBe('SELECT * FROM `users` WHERE `active` = ? AND (`role` = ? OR `karma` > ?) OR `deleted_at` IS NULL');
+    expect(params).toEqual([1, 'admin', 100]);
+  });
+
+  test('negates conditions and groups with whereNot', () => {
+    const { sql, params } = qb()
+      .whereNot('status', 'banned')
+      .orWhereNot(q => q.where('a', 1).where('b', 2))
+      .toSQL();
+
+    expect(sql).toBe('SELECT * FROM `users` WHERE NOT (`status` = ?) OR NOT (`a` = ? AND `b` = ?)');
+    expect(params).toEqual(['banned', 1, 2]);
+  });
+
+  test('compiles the IN, BETWEEN, NULL and LIKE variants', () => {
+    const { sql, params } = qb()
+      .whereIn('id', [1, 2])
+      .whereNotIn('role', [])
+      .orWhereIn('id', [])
+      .whereBetween('age', 18, 65)
+      .whereNotBetween('score', 0, 10)
+      .whereNotNull('email')
+      .whereLike('name', 'J%')
+      .orWhereNotLike('name', '%bot')
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT * FROM `users` WHERE `id` IN (?, ?) AND 1 = 1 OR 1 = 0 AND `age` BETWEEN ? AND ?'
+      + ' AND `score` NOT BETWEEN ? AND ? AND `email` IS NOT NULL AND `name` LIKE ? OR `name` NOT LIKE ?'
+    );
+    expect(params).toEqual([1, 2, 18, 65, 0, 10, 'J%', '%bot']);
+  });
+
+  test('turns = null into IS NULL and validates operators', () => {
+    expect(qb().where('deleted_at', null).where('x', '!=', null).toSQL().sql)
+      .toBe('SELECT * FROM `users` WHERE `deleted_at` IS NULL AND `x` IS NOT NULL');
+    expect(() => qb().where('id', '= 1 OR 1 =', 1)).toThrow(/Invalid comparison operator/);
+  });
+
+  test('whereIn rejects values that are not an array, subquery or callback', () => {
+    expect(() => qb().whereIn('id', 5)).toThrow('whereIn() on id expects an array, a subquery or a callback');
+    expect(() => qb().whereNotIn('id', 'a,b')).toThrow(/whereNotIn\(\) on id expects an array/);
+    expect(() => qb().whereIn('id', null)).toThrow(/expects an array/);
+  });
+});
+
+describe('QueryBuilder writes', () => {
+  const qb = () => stubHelper().queryBuilder().table('users');
+
+  test('compiles INSERT for one row, several rows and raw values', () => {
+    expect(qb().toInsertSQL({ name: 'a', created_at: raw('NOW()') })).toEqual({
+      sql: 'INSERT INTO `users` (`name`, `created_at`) VALUES (?, NOW())',
+      params: ['a']
+    });
+    expect(qb().toInsertSQL([{ name: 'a', age: 1 }, { name: 'b', age: 2 }])).toEqual({
+      sql: 'INSERT INTO `users` (`name`, `age`) VALUES (?, ?), (?, ?)',
+      params: ['a', 1, 'b', 2]
+    });
+    expect(() => qb().toInsertSQL([])).toThrow(/cannot be empty/);
+  });
+
+  test('compiles INSERT ... SELECT from another builder', () => {
+    const db = stubHelper();
+    const source = db.queryBuilder().table('signups').select('name', 'email').where('confirmed', 1);
+
+    expect(db.queryBuilder().table('users').toInsertSQL(source, { columns: ['name', 'email'] })).toEqual({
+      sql: 'INSERT INTO `users` (`name`, `email`) SELECT `name`, `email` FROM `signups` WHERE `confirmed` = ?',
+      params: [1]
+    });
+  });
+
+  test('compiles UPDATE with order and limit, and with joins', () => {
+    expect(qb().where('active', 0).orderBy('id').limit(10).toUpdateSQL({ status: 'idle' })).toEqual({
+      sql: 'UPDATE `users` SET `status` = ? WHERE `active` = ? ORDER BY `id` ASC LIMIT 10',
+      params: ['idle', 0]
+    });
+    expect(
+      stubHelper().queryBuilder().table('orders o')
+        .join('users u', 'u.id', '=', 'o.user_id')
+        .where('u.banned', 1)
+        .toUpdateSQL({ 'o.status': 'void' })
+    ).toEqual({
+      sql: 'UPDATE `orders` AS `o` INNER JOIN `users` AS `u` ON `u`.`id` = `o`.`user_id` SET `o`.`status` = ? WHERE `u`.`banned` = ?',
+      params: ['void', 1]
+    });
+  });
+
+  test('compiles DELETE, with joins deleting from the target table only', () => {
+    expect(qb().where('id', 1).toDeleteSQL()).toEqual({ sql: 'DELETE FROM `users` WHERE `id` = ?', params: [1] });
+    expect(
+      stubHelper().queryBuilder().table('orders o')
+        .leftJoin('users u', 'u.id', '=', 'o.user_id')
+        .whereNull('u.id')
+        .toDeleteSQL()
+    ).toEqual({
+      sql: 'DELETE `o` FROM `orders` AS `o` LEFT JOIN `users` AS `u` ON `u`.`id` = `o`.`user_id` WHERE `u`.`id` IS NULL',
+      params: []
+    });
+  });
+
+  test('refuses unconditional and unsupported writes', () => {
+    expect(() => qb().toUpdateSQL({ a: 1 })).toThrow('update() requires a where condition');
+    expect(() => qb().toDeleteSQL()).toThrow('delete() requires a where condition');
+    expect(() => qb().where('a', 1).offset(5).toDeleteSQL()).toThrow(/does not support OFFSET/);
+    expect(() => qb().join('b', 'b.id', '=', 'users.b_id').where('a', 1).limit(1).toUpdateSQL({ a: 2 }))
+      .toThrow(/cannot use ORDER BY or LIMIT/);
+  });
+
+  test('increment() adds to the column and runs the update', async () => {
+    const db = stubHelper(() => ({ affectedRows: 1, changedRows: 1 }));
+    await db.queryBuilder().table('posts').where('id', 3).increment('views', 2);
+
+    expect(db.pool.log[0]).toMatchObject({ sql: 'UPDATE `posts` SET `views` = `views` + ? WHERE `id` = ?', params: [2, 3] });
+    await expect(db.queryBuilder().table('posts').increment('views', 'x')).rejects.toThrow(/Invalid increment amount/);
+  });
+});
+
+describe('QueryBuilder subqueries', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper();
+  });
+
+  test('orders parameters of select, from, join and where subqueries by position', () => {
+    const { sql, params } = db.queryBuilder()
+      .fromSub(q => q.table('orders').where('status', 'paid'), 'o')
+      .select('o.id')
+      .selectSub(q => q.table('items').select(raw('COUNT(*)')).whereColumn('items.order_id', '=', 'o.id').where('qty', '>', 0), 'item_count')
+      .joinSub(q => q.table('users').where('active', 1), 'u', 'u.id', '=', 'o.user_id')
+      .where('o.total', '>', q => q.table('orders').select(raw('AVG(total)')).where('year', 2024))
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT `o`.`id`, (SELECT COUNT(*) FROM `items` WHERE `items`.`order_id` = `o`.`id` AND `qty` > ?) AS `item_count`'
+      + ' FROM (SELECT * FROM `orders` WHERE `status` = ?) AS `o`'
+      + ' INNER JOIN (SELECT * FROM `users` WHERE `active` = ?) AS `u` ON `u`.`id` = `o`.`user_id`'
+      + ' WHERE `o`.`total` > (SELECT AVG(total) FROM `orders` WHERE `year` = ?)'
+    );
+    expect(params).toEqual([0, 'paid', 1, 2024]);
+  });
+
+  test('compiles whereIn and EXISTS subqueries', () => {
+    const paid = db.queryBuilder().table('orders').select('user_id').where('status', 'paid');
+    const { sql, params } = db.queryBuilder().table('users')
+      .whereIn('id', paid)
+      .whereNotExists(q => q.table('bans').whereColumn('bans.user_id', '=', 'users.id').where('active', 1))
+      .orWhereExists(q => q.table('admins').whereColumn('admins.user_id', '=', 'users.id'))
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT * FROM `users` WHERE `id` IN (SELECT `user_id` FROM `orders` WHERE `status` = ?)'
+      + ' AND NOT EXISTS (SELECT * FROM `bans` WHERE `bans`.`user_id` = `users`.`id` AND `active` = ?)'
+      + ' OR EXISTS (SELECT * FROM `admins` WHERE `admins`.`user_id` = `users`.`id`)'
+    );
+    expect(params).toEqual(['paid', 1]);
+  });
+
+  test('rejects values that are not subqueries', () => {
+    expect(() => db.queryBuilder().fromSub('orders', 'o')).toThrow(/Expected a QueryBuilder instance or a callback/);
+    expect(() => db.queryBuilder().table('users').whereExists({})).toThrow(/Expected a QueryBuilder instance/);
+  });
+});
+
+describe('QueryBuilder unions, CTEs and window functions', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper(sql => (/COUNT\(\*\)/.test(sql) ? [{ count: 7 }] : []));
+  });
+
+  test('compiles UNION members and applies order and limit to the result', () => {
+    const { sql, params } = db.queryBuilder().table('customers').select('email').where('active', 1)
+      .union(q => q.table('leads').select('email').where('source', 'ads'))
+      .unionAll(db.queryBuilder().table('staff').select('email').orderBy('id').limit(5))
+      .orderBy('email')
+      .limit(10)
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT `email` FROM `customers` WHERE `active` = ?'
+      + ' UNION SELECT `email` FROM `leads` WHERE `source` = ?'
+      + ' UNION ALL (SELECT `email` FROM `staff` ORDER BY `id` ASC LIMIT 5)'
+      + ' ORDER BY `email` ASC LIMIT 10'
+    );
+    expect(params).toEqual([1, 'ads']);
+  });
+
+  test('compiles CTEs, recursive ones included, before the SELECT', () => {
+    const { sql, params } = db.queryBuilder()
+      .with('paid', q => q.table('orders').where('status', 'paid'))
+      .withRecursive('tree', q => q.table('categories').select('id', 'parent_id').whereNull('parent_id')
+        .unionAll(r => r.table('categories c').select('c.id', 'c.parent_id').join('tree t', 't.id', '=', 'c.parent_id')),
+      ['id', 'parent_id'])
+      .table('tree')
+      .where('id', '>', 3)
+      .toSQL();
+
+    expect(sql).toBe(
+      'WITH RECURSIVE `paid` AS (SELECT * FROM `orders` WHERE `status` = ?),'
+      + ' `tree` (`id`, `parent_id`) AS (SELECT `id`, `parent_id` FROM `categories` WHERE `parent_id` IS NULL'
+      + ' UNION ALL SELECT `c`.`id`, `c`.`parent_id` FROM `categories` AS `c` INNER JOIN `tree` AS `t` ON `t`.`id` = `c`.`parent_id`)'
+      + ' SELECT * FROM `tree` WHERE `id` > ?'
+    );
+    expect(params).toEqual(['paid', 3]);
+  });
+
+  test('compiles window functions with partition, order and frame', () => {
+    const { sql } = db.queryBuilder().table('orders')
+      .select('id')
+      .selectWindow('ROW_NUMBER()', { partitionBy: 'user_id', orderBy: 'created_at DESC' }, 'rn')
+      .selectWindow('SUM(total)', { orderBy: 'id', frame: 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW' }, 'running')
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `user_id` ORDER BY `created_at` DESC) AS `rn`,'
+      + ' SUM(`total`) OVER (ORDER BY `id` ASC ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS `running`'
+      + ' FROM `orders`'
+    );
+    expect(() => db.queryBuilder().table('orders').selectWindow('SUM(total)', { frame: 'ROWS 1; DROP' }))
+      .toThrow(/Invalid window frame/);
+    expect(() => db.queryBuilder().table('orders').selectWindow('SUM(total); DROP TABLE x', {}))
+      .toThrow(/Invalid function call/);
+  });
+
+  test('count() counts the rows of a UNION, not its first member', async () => {
+    const count = await db.queryBuilder().table('customers').select('email')
+      .union(q => q.table('leads').select('email').where('source', 'ads'))
+      .orderBy('email')
+      .count();
+
+    expect(count).toBe(7);
+    expect(db.pool.log[0]).toMatchObject({
+      sql: 'SELECT COUNT(*) as count FROM (SELECT `email` FROM `customers` UNION SELECT `email` FROM `leads` WHERE `source` = ?) AS `counted` LIMIT 1',
+      params: ['ads']
+    });
+  });
+
+  test('count() counts the groups of a GROUP BY', async () => {
+    await db.queryBuilder().table('orders').join('users', 'users.id', '=', 'orders.user_id')
+      .where('orders.status', 'paid').groupBy('orders.user_id').count();
+
+    expect(db.pool.statements()).toEqual([
+      'SELECT COUNT(*) as count FROM (SELECT 1 FROM `orders` INNER JOIN `users` ON `users`.`id` = `orders`.`user_id`'
+      + ' WHERE `orders`.`status` = ? GROUP BY `orders`.`user_id`) AS `counted` LIMIT 1'
+    ]);
+  });
+
+  test('count() keeps a plain COUNT(*) for other queries', async () => {
+    await db.queryBuilder().table('orders').where('status', 'paid').orderBy('id').limit(5).count();
+    expect(db.pool.statements()).toEqual(['SELECT COUNT(*) as count FROM `orders` WHERE `status` = ? LIMIT 1']);
+  });
+});
+
+describe('QueryBuilder HAVING', () => {
+  const qb = () => stubHelper().queryBuilder().table('orders').select('user_id', raw('SUM(total) AS spent')).groupBy('user_id');
+
+  test('parameterizes every form and keeps WHERE parameters first', () => {
+    const { sql, params } = qb()
+      .where('status', 'paid')
+      .having('spent', '>', 100)
+      .orHaving(q => q.having('user_id', 1).having({ spent: { lt: 5 } }))
+      .havingRaw('COUNT(*) >= ?', [2])
+      .having(raw('MAX(total) < ?', [900]))
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT `user_id`, SUM(total) AS spent FROM `orders` WHERE `status` = ? GROUP BY `user_id`'
+      + ' HAVING `spent` > ? OR (`user_id` = ? AND (`spent` < ?)) AND (COUNT(*) >= ?) AND (MAX(total) < ?)'
+    );
+    expect(params).toEqual(['paid', 100, 1, 5, 2, 900]);
+  });
+
+  test('rejects a bare SQL string', () => {
+    expect(() => qb().having('SUM(total) > 100')).toThrow(/use havingRaw/);
+    expect(() => qb().having('spent', '> 0 OR 1 =', 1)).toThrow(/Invalid comparison operator/);
+  });
+
+  test('count() with HAVING counts the remaining groups', async () => {
+    const db = stubHelper(() => [{ count: 2 }]);
+    const count = await db.queryBuilder().table('orders').select('user_id', raw('SUM(total) AS spent'))
+      .groupBy('user_id').having('spent', '>', 100).count();
+
+    expect(count).toBe(2);
+    expect(db.pool.log[0]).toMatchObject({
+      sql: 'SELECT COUNT(*) as count FROM (SELECT `user_id`, SUM(total) AS spent FROM `orders` GROUP BY `user_id`'
+        + ' HAVING `spent` > ?) AS `counted` LIMIT 1',
+      params: [100]
+    });
+  });
+});
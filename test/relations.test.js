@@ -0,0 +1,54 @@
+import { stubHelper } from './stubs.js';
+
+const orders = [{ id: 1, customer_id: 5 }, { id: 2, customer_id: 5 }];
+const items = [{ id: 10, order_id: 1 }, { id: 11, order_id: 2 }, { id: 12, order_id: 2 }];
+
+describe('with()', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper(sql => (/FROM `order_items`/.test(sql) ? items : orders));
+    db.defineRelations('orders', { items: { hasMany: 'order_items', foreignKey: 'order_id' } });
+  });
+
+  test('loads each relation with one query', async () => {
+    const rows = await db.queryBuilder().table('orders').with('items').get();
+
+    expect(rows.map(row => row.items.map(item => item.id))).toEqual([[10], [11, 12]]);
+    expect(db.pool.statements()).toHaveLength(2);
+  });
+
+  test('a { relation: callback } object constrains the relation', async () => {
+    const rows = await db.queryBuilder().table('orders').with({ items: qb => qb.where('id', '>', 10) }).get();
+
+    expect(rows).toHaveLength(2);
+    expect(db.pool.statements()[1]).toMatch(/FROM `order_items` WHERE `order_items`\.`order_id` IN \(\?, \?\) AND `id` > \?/);
+  });
+
+  test('Model.with() and withRelations() eager load', async () => {
+    const Order = db.defineModel('Order', { table: 'orders' });
+    const viaModel = await Order.with('items').get();
+    const viaAlias = await db.queryBuilder().table('orders').withRelations('items').get();
+
+    expect(viaModel[0].getRelation('items').map(item => item.id)).toEqual([10]);
+    expect(viaAlias[1].items.map(item => item.id)).toEqual([11, 12]);
+  });
+
+  test('with(name, callback) adds a CTE, not a relation', () => {
+    const { sql } = db.queryBuilder()
+      .with('items', qb => qb.table('order_items').where('order_id', 1))
+      .table('items')
+      .toSQL();
+
+    expect(sql).toMatch(/^WITH `items` AS \(SELECT \* FROM `order_items` WHERE `order_id` = \?\) SELECT/);
+  });
+
+  test('nest() cannot be combined with eager loading or models', async () => {
+    const nested = () => db.queryBuilder().table('orders').nest({ order: 'orders.*' });
+    const Order = db.defineModel('Order', { table: 'orders' });
+
+    await expect(nested().with('items').get()).rejects.toThrow(/nest\(\) cannot be combined/);
+    await expect(Order.query().nest({ order: 'orders.*' }).get()).rejects.toThrow(/nest\(\) cannot be combined/);
+    expect(db.pool.statements()).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+import { StubPool, stubHelper } from './stubs.js';
+
+const respond = sql => (/^SELECT/.test(sql) ? [{ id: 1 }] : { affectedRows: 1, insertId: 1 });
+
+function replicated(config = {}) {
+  const db = stubHelper(respond, { replicas: [{ host: 'replica-1' }, { host: 'replica-2' }], ...config });
+  db.replicaPools = [new StubPool(respond), new StubPool(respond)];
+  return db;
+}
+
+// Which pool ran each statement: 'primary', 'replica-1' or 'replica-2'
+function routes(db) {
+  const entries = [
+    ...db.pool.log.map(entry => ['primary', entry]),
+    ...db.replicaPools.flatMap((pool, i) => pool.log.map(entry => [`replica-${i + 1}`, entry]))
+  ];
+  return Object.fromEntries(entries.map(([target, entry]) => [entry.sql, target]));
+}
+
+describe('read replicas', () => {
+  test('routes reads to the replicas in turn and writes to the primary', async () => {
+    const db = replicated();
+
+    await db.findById('users', 1);
+    await db.queryBuilder().table('orders').first();
+    await db.insert('users', { name: 'a' });
+    await db.query('SELECT * FROM carts');
+
+    expect(db.replicaPools[0].statements()).toEqual(['SELECT * FROM `users` WHERE `id` = ? LIMIT 1']);
+    expect(db.replicaPools[1].statements()).toEqual(['SELECT * FROM `orders` LIMIT 1']);
+    // Plain query() reads stay on the primary unless marked `replica`
+    expect(db.pool.statements()).toEqual(['INSERT INTO `users` (`name`) VALUES (?)', 'SELECT * FROM carts']);
+  });
+
+  test('least-busy picks the replica with the fewest connections in use', async () => {
+    const db = replicated({ replicaStrategy: 'least-busy' });
+    db.replicaPools[0]._allConnections = [{}, {}];
+
+    await db.findById('users', 1);
+    await db.findById('users', 2);
+
+    expect(db.replicaPools[0].log).toHaveLength(0);
+    expect(db.replicaPools[1].log).toHaveLength(2);
+  });
+
+  test('reads after a write in the same context() stick to the primary', async () => {
+    const db = replicated({ stickyPrimaryWindow: 50 });
+
+    await db.context(async () => {
+      await db.findById('users', 1);
+      await db.update('users', { name: 'b' }, { id: 1 });
+      await db.findById('users', 2);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      await db.findOne('users', { id: 3 });
+    });
+
+    const replicaReads = db.replicaPools.flatMap(pool => pool.log.map(entry => entry.params));
+    expect(replicaReads).toEqual([[1], [3]]);
+    expect(db.pool.log.map(entry => entry.params)).toEqual([['b', 1], [2]]);
+  });
+
+  test('a write outside context() does not pin later reads', async () => {
+    const db = replicated();
+
+    await db.update('users', { name: 'b' }, { id: 1 });
+    await db.findById('users', 1);
+
+    expect(routes(db)['SELECT * FROM `users` WHERE `id` = ? LIMIT 1']).toBe('replica-1');
+  });
+
+  test('onPrimary() sends reads to the primary', async () => {
+    const db = replicated();
+
+    await db.onPrimary().findById('users', 1);
+    await db.queryBuilder().table('accounts').onPrimary().where('user_id', 1).first();
+
+    expect(db.replicaPools.every(pool => pool.log.length === 0)).toBe(true);
+    expect(db.pool.log).toHaveLength(2);
+  });
+
+  test('transactions run on the primary', async () => {
+    const db = replicated();
+
+    await db.transaction(trx => trx.findById('users', 1));
+
+    expect(db.replicaPools.every(pool => pool.log.length === 0)).toBe(true);
+    expect(db.pool.statements()).toEqual(['START TRANSACTION', 'SELECT * FROM `users` WHERE `id` = ? LIMIT 1', 'COMMIT']);
+  });
+});
@@ -0,0 +1,59 @@
+import { stubHelper } from './stubs.js';
+
+describe('SchemaBuilder', () => {
+  let db;
+  let tables;
+  let indexes;
+
+  beforeEach(() => {
+    tables = new Set();
+    indexes = new Set();
+    db = stubHelper((sql, params) => {
+      let match;
+      if ((match = sql.match(/^CREATE TABLE `(\w+)`/))) tables.add(match[1]);
+      if ((match = sql.match(/^CREATE\s+(?:UNIQUE\s+)?INDEX `(\w+)`/))) indexes.add(match[1]);
+      if (/^SHOW TABLES LIKE/.test(sql)) return tables.has(params[0]) ? [{ table: params[0] }] : [];
+      if (/information_schema\.STATISTICS/.test(sql)) return [{ count: indexes.has(params[2]) ? 1 : 0 }];
+      return { affectedRows: 0 };
+    }, { cache: true });
+  });
+
+  test('hasTable() is not served from the cache after createTable()', async () => {
+    expect(await db.schema.hasTable('users')).toBe(false);
+    await db.schema.createTable('users', t => t.increments('id'));
+    expect(await db.schema.hasTable('users')).toBe(true);
+  });
+
+  test('indexExists() is not served from the cache after createIndex()', async () => {
+    expect(await db.indexExists('users', 'users_email_unique')).toBe(false);
+    await db.createIndex('users', 'users_email_unique', ['email'], { unique: true });
+    expect(await db.indexExists('users', 'users_email_unique')).toBe(true);
+  });
+
+  test('foreign() on an undeclared column adds it as INT UNSIGNED', async () => {
+    await db.schema.createTable('users', (t) => {
+      t.increments('id');
+      t.foreign('org_id').references('orgs.id');
+    });
+    const sql = db.pool.log[0].sql;
+    expect(sql).toContain('`org_id` INT UNSIGNED NOT NULL');
+    expect(sql).toContain('FOREIGN KEY (`org_id`) REFERENCES `orgs` (`id`)');
+  });
+
+  test('foreign() with onDelete(set null) adds a nullable column', async () => {
+    await db.schema.createTable('posts', (t) => {
+      t.increments('id');
+      t.foreign('user_id').references('users.id').onDelete('set null');
+    });
+    expect(db.pool.log[0].sql).toContain('`user_id` INT UNSIGNED NULL');
+  });
+
+  test('foreign() uses the declared column', async () => {
+    await db.schema.createTable('posts', (t) => {
+      t.bigIncrements('id');
+      t.bigInteger('user_id').unsigned();
+      t.foreign('user_id').references('users.id');
+    });
+    expect(db.pool.log[0].sql).toContain('`user_id` BIGINT UNSIGNED NOT NULL');
+  });
+});
@@ -0,0 +1,81 @@
+import { stubHelper } from './stubs.js';
+
+const rows = Array.from({ length: 1000 }, (_, i) => ({ id: i + 1 }));
+
+function respond(sql) {
+  if (/FROM `broken`/.test(sql)) {
+    throw Object.assign(new Error("Table 'app.broken' doesn't exist"), { code: 'ER_NO_SUCH_TABLE' });
+  }
+  return rows;
+}
+
+describe('stream()', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper(respond);
+  });
+
+  test('delivers every row in order and releases the connection', async () => {
+    const executed = [];
+    db.on('queryExecuted', event => executed.push(event.rowCount));
+
+    const ids = [];
+    for await (const row of db.stream('SELECT * FROM `events`')) {
+      ids.push(row.id);
+    }
+
+    expect(ids).toEqual(rows.map(row => row.id));
+    expect(executed).toEqual([1000]);
+    expect(db.pool._freeConnections).toHaveLength(1);
+  });
+
+  test('stops reading rows while the consumer is behind', async () => {
+    const stream = db.stream('SELECT * FROM `events`', [], { highWaterMark: 5 });
+    const iterator = stream[Symbol.asyncIterator]();
+    await iterator.next();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Both buffers hold a few rows at most; the other rows stay unread
+    expect(db.pool.rowsRead).toBeLessThan(20);
+    await iterator.return();
+  });
+
+  test('drops the connection when the consumer stops early', async () => {
+    const ids = [];
+    for await (const row of db.iterate('SELECT * FROM `events`', [], { highWaterMark: 5 })) {
+      ids.push(row.id);
+      if (ids.length === 3) {
+        break;
+      }
+    }
+    const [conn] = db.pool.log.map(entry => entry.threadId);
+
+    expect(ids).toEqual([1, 2, 3]);
+    expect(conn).toBe(1);
+    // A connection left mid-result cannot be reused, so it is destroyed
+    // rather than released
+    expect(db.pool._freeConnections).toHaveLength(0);
+    expect(db.pool._allConnections).toHaveLength(0);
+    expect(db.pool.rowsRead).toBeLessThan(20);
+  });
+
+  test('QueryBuilder#stream() compiles the query', async () => {
+    const ids = [];
+    for await (const row of db.queryBuilder().table('events').where('id', '>', 998).stream()) {
+      ids.push(row.id);
+    }
+    expect(ids).toHaveLength(rows.length);
+    expect(db.pool.log[0]).toMatchObject({ sql: 'SELECT * FROM `events` WHERE `id` > ?', params: [998] });
+  });
+
+  test('fails with the classified error and releases the finished connection', async () => {
+    const consumed = new Promise((resolve, reject) => {
+      db.stream('SELECT * FROM `broken`').on('error', reject).on('end', resolve).resume();
+    });
+
+    await expect(consumed).rejects.toMatchObject({ code: 'ER_NO_SUCH_TABLE', sql: 'SELECT * FROM `broken`' });
+    // The failed query has ended, so the connection can go back to the pool
+    expect(db.pool._freeConnections).toHaveLength(1);
+  });
+});
@@ -0,0 +1,139 @@
+import { Readable } from 'stream';
+import MySQLHelper from '../index.mjs';
+
+/**
+ * In-memory stand-in for a mysql2/promise pool. Every statement is recorded
+ * in `log` as { sql, params, threadId } and answered by `respond(sql, params)`.
+ */
+export class StubPool {
+  constructor(respond = () => [], options = {}) {
+    this.respond = respond;
+    this.log = [];
+    this.connectionLimit = options.connectionLimit || 10;
+    this.ended = false;
+    this._nextThreadId = 1;
+    // Fields read by MySQLHelper#_poolStatus
+    this._allConnections = [];
+    this._freeConnections = [];
+    this._connectionQueue = [];
+  }
+
+  async _run(statement, params = [], threadId = null) {
+    if (this.ended) {
+      throw new Error('Pool is closed.');
+    }
+    const sql = typeof statement === 'string' ? statement : statement.sql;
+    this.log.push({ sql: sql.replace(/\s+/g, ' ').trim(), params, threadId });
+    return [await this.respond(sql, params), []];
+  }
+
+  execute(statement, params) {
+    return this._run(statement, params);
+  }
+
+  query(statement, params) {
+    return this._run(statement, params);
+  }
+
+  async getConnection() {
+    if (this.ended) {
+      throw new Error('Pool is closed.');
+    }
+    const free = this._freeConnections.pop();
+    if (free) {
+      return free;
+    }
+    if (this._allConnections.length >= this.connectionLimit) {
+      // A real pool would queue the request until a connection is released
+      throw new Error('Stub pool exhausted');
+    }
+    const conn = new StubConnection(this, this._nextThreadId++);
+    this._allConnections.push(conn);
+    return conn;
+  }
+
+  async end() {
+    this.ended = true;
+  }
+
+  statements() {
+    return this.log.map(entry => entry.sql);
+  }
+}
+
+export class StubConnection {
+  constructor(pool, threadId) {
+    this.pool = pool;
+    this.threadId = threadId;
+  }
+
+  execute(statement, params) {
+    return this.pool._run(statement, params, this.threadId);
+  }
+
+  query(statement, params) {
+    return this.pool._run(statement, params, this.threadId);
+  }
+
+  beginTransaction() {
+    return this.query('START TRANSACTION');
+  }
+
+  commit() {
+    return this.query('COMMIT');
+  }
+
+  rollback() {
+    return this.query('ROLLBACK');
+  }
+
+  release() {
+    this.pool._freeConnections.push(this);
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.pool._allConnections = this.pool._allConnections.filter(conn => conn !== this);
+  }
+
+  /**
+   * Callback-API connection used by MySQLHelper#stream: query().stream()
+   * produces the response rows one read() at a time and counts them in
+   * `pool.rowsRead`
+   */
+  get connection() {
+    const pool = this.pool;
+    return {
+      query: (sql, params) => ({
+        stream: ({ highWaterMark } = {}) => {
+          const rows = pool._run(sql, params, this.threadId).then(([result]) => result);
+          let index = 0;
+          pool.rowsRead = 0;
+          return new Readable({
+            objectMode: true,
+            highWaterMark,
+            read() {
+              rows.then((list) => {
+                if (index < list.length) {
+                  pool.rowsRead++;
+                  this.push(list[index++]);
+                } else {
+                  this.push(null);
+                }
+              }, error => this.destroy(error));
+            }
+          });
+        }
+      })
+    };
+  }
+}
+
+/**
+ * Helper whose pool is a StubPool answering with `respond`
+ */
+export function stubHelper(respond, config = {}) {
+  const db = new MySQLHelper({ database: 'app', timestamps: false, ...config });
+  db.pool = new StubPool(respond, config);
+  return db;
+}
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import MySQLHelper from '../index.mjs';
+
+describe('forTenant()', () => {
+  let db;
+
+  beforeEach(() => {
+    // mysql2 warns about the helper's own options (maxTenantPools, ...)
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = new MySQLHelper({ database: 'app', maxTenantPools: 1, tenantResolver: id => `tenant_${id}` });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  test('a helper whose pool was evicted gets a new pool instead of a closed one', async () => {
+    const acme = await db.forTenant('acme');
+    const evicted = acme.pool;
+
+    await db.forTenant('globex');
+    expect(evicted.pool._closed).toBe(true);
+
+    const current = acme.pool;
+    expect(current).not.toBe(evicted);
+    expect(current.pool._closed).toBe(false);
+    expect(current.pool.config.connectionConfig.database).toBe('tenant_acme');
+  });
+
+  test('helpers keep using the same pool while it is not evicted', async () => {
+    const acme = await db.forTenant('acme');
+    expect(acme.pool).toBe(acme.pool);
+    expect(db.tenantPools.size).toBe(1);
+  });
+});
+
+describe('forTenant() caching', () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const databases = { acme: 'shared', globex: 'shared', initech: 'initech', root: 'app' };
+    db = new MySQLHelper({ database: 'app', cache: true, tenantResolver: id => databases[id] });
+  });
+
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  // Answer the helper's queries without a server; `pool` is a getter on
+  // tenant helpers, so it is shadowed with a plain value
+  const stub = (helper, respond) => {
+    const run = async statement => [respond(typeof statement === 'string' ? statement : statement.sql), []];
+    Object.defineProperty(helper, 'pool', { value: { execute: run, query: run }, configurable: true });
+    return helper;
+  };
+
+  test('tenants on the same database share cache entries and invalidate each other', async () => {
+    let version = 1;
+    const respond = sql => (/^SELECT/.test(sql) ? [{ version }] : { affectedRows: 1 });
+    const acme = stub(await db.forTenant('acme'), respond);
+    const globex = stub(await db.forTenant('globex'), respond);
+
+    expect(await globex.query('SELECT * FROM settings')).toEqual([{ version: 1 }]);
+    version = 2;
+    expect(await globex.query('SELECT * FROM settings')).toEqual([{ version: 1 }]);
+
+    await acme.query('UPDATE settings SET version = 2');
+    expect(await globex.query('SELECT * FROM settings')).toEqual([{ version: 2 }]);
+  });
+
+  test('tenants on other databases keep their own entries', async () => {
+    const acme = await db.forTenant('acme');
+    const initech = await db.forTenant('initech');
+    const root = await db.forTenant('root');
+
+    expect(acme._cacheTag('users')).not.toBe(initech._cacheTag('users'));
+    expect(acme._getCacheKey('SELECT 1', [])).not.toBe(initech._getCacheKey('SELECT 1', []));
+    // A tenant resolving to the root database shares the root's entries
+    expect(root._cacheTag('users')).toBe(db._cacheTag('users'));
+  });
+});
@@ -0,0 +1,148 @@
+import { stubHelper } from './stubs.js';
+
+const accounts = [{ id: 1, balance: 100 }];
+
+describe('transaction()', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper(sql => (/^SELECT/.test(sql) ? accounts : { affectedRows: 1 }));
+  });
+
+  test('passes a helper whose query() resolves to the rows', async () => {
+    const rows = await db.transaction(trx => trx.query('SELECT * FROM accounts WHERE id = ?', [1]));
+    expect(rows).toEqual(accounts);
+  });
+
+  test('keeps connection-style execute() callbacks working', async () => {
+    const balance = await db.transaction(async (conn) => {
+      const [rows] = await conn.execute('SELECT * FROM accounts WHERE id = ?', [1]);
+      return rows[0].balance;
+    });
+    expect(balance).toBe(100);
+  });
+
+  test('keeps transactionQuery(conn, ...) callbacks working', async () => {
+    const rows = await db.transaction(conn => db.transactionQuery(conn, 'SELECT * FROM accounts', []));
+    expect(rows).toEqual(accounts);
+  });
+
+  test('runs every statement on the transaction connection', async () => {
+    await db.transaction(async (trx) => {
+      await trx.query('UPDATE accounts SET balance = ? WHERE id = ?', [50, 1]);
+      await trx.conn.query('SELECT 1');
+    });
+    const threads = new Set(db.pool.log.map(entry => entry.threadId));
+    expect([...threads]).toEqual([1]);
+    expect(db.pool.statements()).toEqual([
+      'START TRANSACTION',
+      'UPDATE accounts SET balance = ? WHERE id = ?',
+      'SELECT 1',
+      'COMMIT'
+    ]);
+  });
+
+  test('rolls back and wraps the callback error, keeping it as cause', async () => {
+    const failure = new Error('boom');
+    const error = await db.transaction(async () => {
+      throw failure;
+    }).catch(e => e);
+
+    expect(error.message).toBe('Transaction failed: boom');
+    expect(error.cause).toBe(failure);
+    expect(db.pool.statements()).toEqual(['START TRANSACTION', 'ROLLBACK']);
+  });
+});
+
+describe('nested transaction()', () => {
+  let db;
+
+  beforeEach(() => {
+    db = stubHelper(() => ({ affectedRows: 1 }));
+  });
+
+  test('rolls back a failing inner transaction to its savepoint and commits the outer one', async () => {
+    const failure = new Error('card declined');
+
+    await db.transaction(async (trx) => {
+      await trx.query('INSERT INTO orders (id) VALUES (?)', [1]);
+      await expect(trx.transaction(async (inner) => {
+        await inner.query('INSERT INTO payments (order_id) VALUES (?)', [1]);
+        throw failure;
+      })).rejects.toBe(failure);
+      await trx.query('UPDATE orders SET status = ? WHERE id = ?', ['unpaid', 1]);
+    });
+
+    expect(db.pool.statements()).toEqual([
+      'START TRANSACTION',
+      'INSERT INTO orders (id) VALUES (?)',
+      'SAVEPOINT sp_2',
+      'INSERT INTO payments (order_id) VALUES (?)',
+      'ROLLBACK TO SAVEPOINT sp_2',
+      'UPDATE orders SET status = ? WHERE id = ?',
+      'COMMIT'
+    ]);
+    expect(new Set(db.pool.log.map(entry => entry.threadId))).toEqual(new Set([1]));
+  });
+
+  test('releases savepoints at each depth and joins through db.transaction()', async () => {
+    await db.transaction(async () => {
+      await db.transaction(async () => {
+        await db.transaction(inner => inner.query('DELETE FROM carts WHERE id = ?', [1]));
+      });
+    });
+
+    expect(db.pool.statements()).toEqual([
+      'START TRANSACTION',
+      'SAVEPOINT sp_2',
+      'SAVEPOINT sp_3',
+      'DELETE FROM carts WHERE id = ?',
+      'RELEASE SAVEPOINT sp_3',
+      'RELEASE SAVEPOINT sp_2',
+      'COMMIT'
+    ]);
+  });
+});
+
+describe('transaction() retries', () => {
+  test('retries a deadlock on the first attempt and then commits', async () => {
+    let attempts = 0;
+    const db = stubHelper((sql) => {
+      if (/^UPDATE/.test(sql) && ++attempts === 1) {
+        throw Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK', errno: 1213 });
+      }
+      return { affectedRows: 1 };
+    });
+    const retries = [];
+    db.on('transactionRetry', event => retries.push(event));
+
+    const result = await db.transaction(async (trx) => {
+      await trx.query('UPDATE accounts SET balance = balance - ? WHERE id = ?', [10, 1]);
+      return 'done';
+    }, { retries: 2, backoff: () => 0 });
+
+    expect(result).toBe('done');
+    expect(retries).toEqual([expect.objectContaining({ attempt: 1, retries: 2, delay: 0, code: 'ER_LOCK_DEADLOCK' })]);
+    expect(db.pool.statements()).toEqual([
+      'START TRANSACTION',
+      'UPDATE accounts SET balance = balance - ? WHERE id = ?',
+      'ROLLBACK',
+      'START TRANSACTION',
+      'UPDATE accounts SET balance = balance - ? WHERE id = ?',
+      'COMMIT'
+    ]);
+  });
+
+  test('does not retry other errors', async () => {
+    const db = stubHelper((sql) => {
+      if (/^UPDATE/.test(sql)) {
+        throw Object.assign(new Error('Unknown column'), { code: 'ER_BAD_FIELD_ERROR', errno: 1054 });
+      }
+      return { affectedRows: 0 };
+    });
+
+    await expect(db.transaction(trx => trx.query('UPDATE accounts SET x = 1'), { retries: 3, backoff: () => 0 }))
+      .rejects.toThrow(/^Transaction failed: /);
+    expect(db.pool.statements().filter(sql => sql === 'START TRANSACTION')).toHaveLength(1);
+  });
+});
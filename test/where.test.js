@@ -0,0 +1,88 @@
+import { compileWhere, raw } from '../sql.mjs';
+import { stubHelper } from './stubs.js';
+
+describe('compileWhere()', () => {
+  test('joins top-level keys with AND', () => {
+    expect(compileWhere({ status: 'paid', total: 10 })).toEqual({
+      sql: '`status` = ? AND `total` = ?',
+      params: ['paid', 10]
+    });
+  });
+
+  test('compiles null to IS NULL and arrays to IN', () => {
+    expect(compileWhere({ deleted_at: null, id: [1, 2] })).toEqual({
+      sql: '`deleted_at` IS NULL AND `id` IN (?, ?)',
+      params: [1, 2]
+    });
+  });
+
+  test.each([
+    [{ eq: 1 }, '`n` = ?', [1]],
+    [{ eq: null }, '`n` IS NULL', []],
+    [{ ne: 1 }, '`n` != ?', [1]],
+    [{ ne: null }, '`n` IS NOT NULL', []],
+    [{ gt: 1 }, '`n` > ?', [1]],
+    [{ gte: 1 }, '`n` >= ?', [1]],
+    [{ lt: 1 }, '`n` < ?', [1]],
+    [{ lte: 1 }, '`n` <= ?', [1]],
+    [{ like: 'a%' }, '`n` LIKE ?', ['a%']],
+    [{ notLike: 'a%' }, '`n` NOT LIKE ?', ['a%']],
+    [{ in: [1, 2] }, '`n` IN (?, ?)', [1, 2]],
+    [{ notIn: [1, 2] }, '`n` NOT IN (?, ?)', [1, 2]],
+    [{ in: [] }, '1 = 0', []],
+    [{ notIn: [] }, '1 = 1', []],
+    [{ between: [1, 5] }, '`n` BETWEEN ? AND ?', [1, 5]],
+    [{ notBetween: [1, 5] }, '`n` NOT BETWEEN ? AND ?', [1, 5]],
+    [{ isNull: true }, '`n` IS NULL', []],
+    [{ isNull: false }, '`n` IS NOT NULL', []],
+    [{ gt: 1, lte: 5 }, '(`n` > ? AND `n` <= ?)', [1, 5]],
+    [{ gt: raw('NOW()') }, '`n` > NOW()', []]
+  ])('%j', (condition, sql, params) => {
+    expect(compileWhere({ n: condition })).toEqual({ sql, params });
+  });
+
+  test('nests or, and and not groups', () => {
+    const where = {
+      status: 'paid',
+      or: [{ total: { gt: 100 } }, { and: [{ vip: true }, { country: ['DE', 'FR'] }] }],
+      not: { archived: true }
+    };
+    expect(compileWhere(where)).toEqual({
+      sql: '`status` = ? AND (`total` > ? OR (`vip` = ? AND `country` IN (?, ?))) AND NOT (`archived` = ?)',
+      params: ['paid', 100, true, 'DE', 'FR', true]
+    });
+  });
+
+  test('drops empty groups', () => {
+    expect(compileWhere({})).toEqual({ sql: '', params: [] });
+    expect(compileWhere({ or: [] })).toEqual({ sql: '', params: [] });
+  });
+
+  test('accepts a subquery for in', () => {
+    const db = stubHelper();
+    const paid = db.queryBuilder().table('orders').select('user_id').where('status', 'paid');
+    expect(compileWhere({ id: { in: paid } })).toEqual({
+      sql: '`id` IN (SELECT `user_id` FROM `orders` WHERE `status` = ?)',
+      params: ['paid']
+    });
+  });
+
+  test.each(['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf', 'GT'])(
+    'rejects the unknown operator %s',
+    (operator) => {
+      expect(() => compileWhere({ name: { [operator]: 1 } })).toThrow(`Unknown where operator "${operator}"`);
+    }
+  );
+
+  test('rejects malformed operator values', () => {
+    expect(() => compileWhere({ n: { in: 5 } })).toThrow(/expects an array/);
+    expect(() => compileWhere({ n: { between: [1] } })).toThrow(/\[min, max\] pair/);
+    expect(() => compileWhere({ n: {} })).toThrow(/Empty operator object/);
+  });
+
+  test('rejects undefined values instead of binding them', () => {
+    expect(() => compileWhere({ id: undefined })).toThrow(/Undefined value for `id`/);
+    expect(() => compileWhere({ id: { gt: undefined } })).toThrow(/Undefined value for where operator "gt"/);
+    expect(() => compileWhere({ or: [{ id: undefined }] })).toThrow(/Undefined value/);
+  });
+});
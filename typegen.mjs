@@ -0,0 +1,147 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const NUMBER_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'float', 'double', 'real', 'year'];
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'time', 'set'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+const BUFFER_TYPES = ['binary', 'varbinary', 'tinyblob', 'blob', 'mediumblob', 'longblob', 'bit'];
+
+/**
+ * TypeScript type of a column as mysql2 returns it, following the
+ * connection's dateStrings / decimalNumbers / bigNumberStrings options
+ */
+function columnType(column, config) {
+  const dataType = column.DATA_TYPE.toLowerCase();
+
+  if (dataType === 'enum') {
+    const values = column.COLUMN_TYPE.slice(5, -1).match(/'(?:[^']|'')*'/g) || [];
+    return values.map(value => JSON.stringify(value.slice(1, -1).replace(/''/g, "'"))).join(' | ') || 'string';
+  }
+  if (dataType === 'bigint') {
+    return config.supportBigNumbers && config.bigNumberStrings ? 'string' : 'number';
+  }
+  if (dataType === 'decimal' || dataType === 'numeric') {
+    return config.decimalNumbers ? 'number' : 'string';
+  }
+  if (DATE_TYPES.includes(dataType)) {
+    // dateStrings may also list the types to return as strings
+    const { dateStrings } = config;
+    const asString = Array.isArray(dateStrings) ? dateStrings.includes(dataType.toUpperCase()) : Boolean(dateStrings);
+    return asString ? 'string' : 'Date';
+  }
+  if (dataType === 'json') {
+    return 'unknown';
+  }
+  if (NUMBER_TYPES.includes(dataType)) return 'number';
+  if (STRING_TYPES.includes(dataType)) return 'string';
+  if (BUFFER_TYPES.includes(dataType)) return 'Buffer';
+  return 'any';
+}
+
+function interfaceName(table) {
+  const name = table
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `_${name}` : name || '_Table';
+}
+
+function propertyName(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Whether the server (or the helper's timestamps) fills the column when an
+ * insert leaves it out
+ */
+function isGenerated(column, db) {
+  const extra = (column.EXTRA || '').toLowerCase();
+  if (extra.includes('auto_increment') || extra.includes('generated')) {
+    return true;
+  }
+  if (column.COLUMN_DEFAULT !== null) {
+    return true;
+  }
+  return db.timestamps && [db.createdAtColumn, db.updatedAtColumn].includes(column.COLUMN_NAME);
+}
+
+/**
+ * Read the columns of the helper's database from information_schema and
+ * return TypeScript source declaring one interface per table and a
+ * `Database` interface mapping table names to them. Columns filled on insert
+ * are wrapped in Generated<> so Insertable<> makes them optional.
+ */
+async function generateTypes(db, options = {}) {
+  const { tables = null, output = null, interfaceName: databaseName = 'Database' } = options;
+
+  const columns = await db.query(`
+    SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT, EXTRA
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = ?
+    ORDER BY TABLE_NAME, ORDINAL_POSITION
+  `, [db.config.database], { cache: false });
+
+  const byTable = new Map();
+  for (const column of columns) {
+    if (tables && !tables.includes(column.TABLE_NAME)) {
+      continue;
+    }
+    if (!byTable.has(column.TABLE_NAME)) {
+      byTable.set(column.TABLE_NAME, []);
+    }
+    byTable.get(column.TABLE_NAME).push(column);
+  }
+  if (tables) {
+    const missing = tables.filter(table => !byTable.has(table));
+    if (missing.length > 0) {
+      throw new Error(`Table(s) not found in ${db.config.database}: ${missing.join(', ')}`);
+    }
+  }
+
+  const lines = [
+    `// Generated by mysql2-helper generateTypes() from database "${db.config.database}". Do not edit.`,
+    "import type { Generated } from 'mysql2-helper';",
+    ''
+  ];
+  const names = new Map();
+  for (const [table, tableColumns] of byTable) {
+    let name = interfaceName(table);
+    // order_items and orderItems would both become OrderItems
+    while ([...names.values()].includes(name) || name === databaseName) {
+      name = `${name}_`;
+    }
+    names.set(table, name);
+
+    lines.push(`export interface ${name} {`);
+    for (const column of tableColumns) {
+      let type = columnType(column, db.config);
+      if (column.IS_NULLABLE === 'YES') {
+        type = `${type} | null`;
+      }
+      if (isGenerated(column, db)) {
+        type = `Generated<${type}>`;
+      }
+      lines.push(`  ${propertyName(column.COLUMN_NAME)}: ${type};`);
+    }
+    lines.push('}', '');
+  }
+
+  lines.push(`export interface ${databaseName} {`);
+  for (const [table, name] of names) {
+    lines.push(`  ${propertyName(table)}: ${name};`);
+  }
+  lines.push('}', '');
+
+  const source = lines.join('\n');
+  if (output) {
+    await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.writeFile(output, source);
+  }
+  return source;
+}
+
+export { generateTypes, columnType };
+export default generateTypes;